@@ -0,0 +1,60 @@
+/**
+ * Admin Authorization
+ * Gates destructive and synthetic-user operations behind an admin API key.
+ * Admin requests send the key in the X-Admin-Key header.
+ */
+const crypto = require('crypto');
+const { logger } = require('../logger');
+
+/**
+ * Create the admin guard
+ * @param {string} [apiKey] The admin API key. Admin access is disabled when not set.
+ * @returns {Object} The guard ({ enabled, isAdminKey, requireAdmin })
+ */
+function createAdminGuard(apiKey) {
+  const expected = apiKey ? Buffer.from(apiKey) : null;
+
+  /**
+   * Check whether a key is the admin API key
+   * @param {string} key The key to check
+   * @returns {boolean} True if the key grants admin access
+   */
+  function isAdminKey(key) {
+    if (!expected || typeof key !== 'string') {
+      return false;
+    }
+
+    const actual = Buffer.from(key);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Express middleware rejecting requests without a valid admin key
+   */
+  function requireAdmin(req, res, next) {
+    if (!expected) {
+      return res.status(403).json({
+        success: false,
+        error: 'Admin access is not configured'
+      });
+    }
+
+    if (!isAdminKey(req.get('X-Admin-Key'))) {
+      (req.log || logger).warn('Rejected admin request', { path: req.path });
+      return res.status(403).json({
+        success: false,
+        error: 'Admin access required'
+      });
+    }
+
+    next();
+  }
+
+  return {
+    enabled: expected !== null,
+    isAdminKey,
+    requireAdmin
+  };
+}
+
+module.exports = { createAdminGuard };
@@ -0,0 +1,89 @@
+/**
+ * Credentials
+ * Validation and hashing of the email/password identities that anonymous
+ * users can attach to their account, shared by the auth providers.
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 256;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const KEY_LENGTH = 64;
+
+// Codes of the errors providers throw for requests that can't succeed
+const AUTH_ERRORS = {
+  INVALID_EMAIL: 'invalid_email',
+  WEAK_PASSWORD: 'weak_password',
+  EMAIL_TAKEN: 'email_taken',
+  ALREADY_REGISTERED: 'already_registered',
+  INVALID_CREDENTIALS: 'invalid_credentials'
+};
+
+/**
+ * An authentication request rejected because of the credentials, not a server failure
+ */
+class AuthError extends Error {
+  /**
+   * @param {string} code One of AUTH_ERRORS
+   * @param {string} message Description shown to the user
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
+
+/**
+ * Check and normalize an email and password
+ * @param {Object} credentials The credentials
+ * @param {string} credentials.email The email address
+ * @param {string} credentials.password The password
+ * @returns {Object} The credentials with a trimmed, lower case email ({ email, password })
+ * @throws {AuthError} If the email or password is not acceptable
+ */
+function validateCredentials({ email, password }) {
+  const normalized = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  if (!EMAIL_PATTERN.test(normalized) || normalized.length > 254) {
+    throw new AuthError(AUTH_ERRORS.INVALID_EMAIL, 'A valid email address is required');
+  }
+
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    throw new AuthError(AUTH_ERRORS.WEAK_PASSWORD, `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+
+  return { email: normalized, password };
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password The password
+ * @returns {Promise<string>} The hash, as "scrypt$<salt>$<key>"
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${key.toString('base64url')}`;
+}
+
+/**
+ * Check a password against a hash created by hashPassword
+ * @param {string} password The password
+ * @param {string} hash The stored hash
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, hash) {
+  const [scheme, salt, key] = String(hash).split('$');
+  if (scheme !== 'scrypt' || !salt || !key) {
+    return false;
+  }
+
+  const expected = Buffer.from(key, 'base64url');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { AUTH_ERRORS, AuthError, validateCredentials, hashPassword, verifyPassword };
@@ -0,0 +1,45 @@
+/**
+ * Auth Providers
+ * Selects the authentication provider used by the server.
+ *
+ * Every provider exposes the same interface:
+ * isAvailable(), ping(timeout), signInAnonymously(), linkIdentity(userId, credentials, token),
+ * signInWithPassword(credentials) and verifyToken(token).
+ * Requests rejected because of the credentials throw an AuthError. linkIdentity
+ * sets confirmationPending on its result while the email waits for confirmation.
+ * verifyToken reports whether the user is anonymous now, not when the token was issued.
+ */
+const { SupabaseAuthProvider } = require('./supabase');
+const { LocalAuthProvider } = require('./local');
+const { createAdminGuard } = require('./admin');
+const { AUTH_ERRORS, AuthError } = require('./credentials');
+
+/**
+ * Create the auth provider configured for this server
+ * @param {Object} [options] Provider options
+ * @param {string} [options.provider] Provider name ('supabase' or 'local'). Defaults to
+ *   'supabase' when Supabase is configured and 'local' otherwise.
+ * @param {string} [options.supabaseUrl] Supabase project URL
+ * @param {string} [options.supabaseServiceKey] Supabase service key
+ * @param {string} [options.secret] Secret used by the local provider to sign tokens
+ * @param {Object} [options.storage] Storage the local provider keeps email/password identities in
+ * @returns {SupabaseAuthProvider|LocalAuthProvider} The auth provider
+ */
+function createAuthProvider(options = {}) {
+  const provider = options.provider ||
+    (options.supabaseUrl && options.supabaseServiceKey ? 'supabase' : 'local');
+
+  switch (provider) {
+    case 'supabase':
+      return new SupabaseAuthProvider({
+        url: options.supabaseUrl,
+        serviceKey: options.supabaseServiceKey
+      });
+    case 'local':
+      return new LocalAuthProvider({ secret: options.secret, storage: options.storage });
+    default:
+      throw new Error(`Unknown auth provider: ${provider}`);
+  }
+}
+
+module.exports = { createAuthProvider, createAdminGuard, AUTH_ERRORS, AuthError };
@@ -0,0 +1,222 @@
+/**
+ * Local Auth Provider
+ * Issues and verifies signed tokens without any external service.
+ * Tokens are HS256 JWTs signed with AUTH_SECRET. Email/password identities
+ * attached to anonymous users are kept in the geek storage.
+ */
+const crypto = require('crypto');
+const { logger } = require('../logger');
+const { AUTH_ERRORS, AuthError, validateCredentials, hashPassword, verifyPassword } = require('./credentials');
+
+const DEFAULT_TOKEN_TTL = 30 * 24 * 60 * 60; // 30 days in seconds
+
+class LocalAuthProvider {
+  /**
+   * Create a new local auth provider
+   * @param {Object} options Provider options
+   * @param {string} [options.secret] Secret used to sign tokens
+   * @param {number} [options.tokenTtl] Token lifetime in seconds
+   * @param {Object} [options.storage] Storage holding the email/password identities
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.tokenTtl = options.tokenTtl || DEFAULT_TOKEN_TTL;
+    this.storage = options.storage || null;
+
+    if (options.secret) {
+      this.secret = options.secret;
+    } else {
+      // Without a configured secret, tokens only survive until the server restarts
+      logger.warn('AUTH_SECRET is not set. Using a random secret, issued tokens will not survive a restart.');
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  /**
+   * The local provider is always available
+   * @returns {boolean} True
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Check that the provider can verify tokens
+   * Tokens are signed and verified in process, there is no service to reach.
+   * @returns {Promise<boolean>} True
+   */
+  async ping() {
+    return true;
+  }
+
+  /**
+   * Create a new anonymous user
+   * @returns {Promise<Object>} The user and session ({ user: { id }, session: { access_token } })
+   */
+  async signInAnonymously() {
+    return this.issueSession({ id: crypto.randomUUID(), anon: true });
+  }
+
+  /**
+   * Attach an email/password identity to an anonymous user, keeping its ID
+   * The identity is usable right away, there is no email confirmation.
+   * @param {string} userId The anonymous user ID
+   * @param {Object} credentials The email and password
+   * @returns {Promise<Object>} The user and a new session ({ user: { id, email }, session: { access_token } })
+   * @throws {AuthError} If the credentials are invalid, the email is taken or the user is already registered
+   */
+  async linkIdentity(userId, credentials) {
+    const { email, password } = validateCredentials(credentials);
+
+    if (await this.storage.findIdentityByClientId(userId)) {
+      throw new AuthError(AUTH_ERRORS.ALREADY_REGISTERED, 'This account is already registered');
+    }
+    if (await this.storage.findIdentityByEmail(email)) {
+      throw new AuthError(AUTH_ERRORS.EMAIL_TAKEN, 'This email is already registered');
+    }
+
+    const identity = await this.storage.createIdentity({
+      clientId: userId,
+      email,
+      passwordHash: await hashPassword(password)
+    });
+
+    // A simultaneous request linked the user or took the email since the checks above
+    if (!identity) {
+      if (await this.storage.findIdentityByClientId(userId)) {
+        throw new AuthError(AUTH_ERRORS.ALREADY_REGISTERED, 'This account is already registered');
+      }
+      throw new AuthError(AUTH_ERRORS.EMAIL_TAKEN, 'This email is already registered');
+    }
+
+    return this.issueSession({ id: userId, email, anon: false });
+  }
+
+  /**
+   * Sign in with an email/password identity
+   * @param {Object} credentials The email and password
+   * @returns {Promise<Object>} The user and session ({ user: { id, email }, session: { access_token } })
+   * @throws {AuthError} If the email and password don't match an identity
+   */
+  async signInWithPassword({ email, password }) {
+    const identity = typeof email === 'string'
+      ? await this.storage.findIdentityByEmail(email.trim().toLowerCase())
+      : null;
+
+    if (!identity || typeof password !== 'string' || !(await verifyPassword(password, identity.password_hash))) {
+      throw new AuthError(AUTH_ERRORS.INVALID_CREDENTIALS, 'Invalid email or password');
+    }
+
+    return this.issueSession({ id: identity.client_id, email: identity.email, anon: false });
+  }
+
+  /**
+   * Issue a signed session for a user
+   * @param {Object} user The user
+   * @param {string} user.id The user ID
+   * @param {string} [user.email] The email of a registered user
+   * @param {boolean} user.anon Whether the user is anonymous
+   * @returns {Object} The user and session ({ user: { id, email? }, session: { access_token } })
+   */
+  issueSession({ id, email, anon }) {
+    const now = Math.floor(Date.now() / 1000);
+
+    const accessToken = this.sign({
+      sub: id,
+      role: anon ? 'anon' : 'authenticated',
+      iat: now,
+      exp: now + this.tokenTtl
+    });
+
+    return {
+      user: email ? { id, email } : { id },
+      session: { access_token: accessToken }
+    };
+  }
+
+  /**
+   * Verify an access token
+   * A user counts as registered once it has an identity, even with a token issued before it was linked.
+   * @param {string} token The access token
+   * @returns {Promise<Object|null>} The user ({ id, anon }) or null if the token is invalid
+   */
+  async verifyToken(token) {
+    const payload = this.decode(token);
+
+    if (!payload || typeof payload.sub !== 'string') {
+      return null;
+    }
+
+    if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+
+    if (payload.role === 'authenticated') {
+      return { id: payload.sub, anon: false };
+    }
+
+    const identity = this.storage ? await this.storage.findIdentityByClientId(payload.sub) : null;
+    return { id: payload.sub, anon: !identity };
+  }
+
+  /**
+   * Sign a payload into a token
+   * @param {Object} payload The token claims
+   * @returns {string} The signed token
+   */
+  sign(payload) {
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify(payload));
+    return `${header}.${body}.${this.signature(`${header}.${body}`)}`;
+  }
+
+  /**
+   * Decode a token, checking its signature
+   * @param {string} token The token
+   * @returns {Object|null} The token claims or null if the token is malformed or tampered with
+   */
+  decode(token) {
+    if (typeof token !== 'string') {
+      return null;
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      return null;
+    }
+
+    const [header, body, signature] = parts;
+    const expected = Buffer.from(this.signature(`${header}.${body}`));
+    const actual = Buffer.from(signature);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Compute the signature of a token's header and body
+   * @param {string} data The "header.body" string
+   * @returns {string} The base64url encoded signature
+   */
+  signature(data) {
+    return crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+  }
+}
+
+/**
+ * Encode a string as base64url
+ * @param {string} value The string to encode
+ * @returns {string} The encoded string
+ */
+function base64url(value) {
+  return Buffer.from(value, 'utf8').toString('base64url');
+}
+
+module.exports = { LocalAuthProvider };
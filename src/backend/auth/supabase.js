@@ -0,0 +1,169 @@
+/**
+ * Supabase Auth Provider
+ * Delegates anonymous sign-in, email/password identities and token verification to Supabase
+ */
+const { createClient } = require('@supabase/supabase-js');
+const { AUTH_ERRORS, AuthError, validateCredentials } = require('./credentials');
+
+class SupabaseAuthProvider {
+  /**
+   * Create a new Supabase auth provider
+   * @param {Object} options Provider options
+   * @param {string} options.url Supabase project URL
+   * @param {string} options.serviceKey Supabase service key (admin operations)
+   */
+  constructor(options = {}) {
+    this.name = 'supabase';
+    this.url = options.url;
+    this.serviceKey = options.serviceKey;
+    this.client = options.url && options.serviceKey
+      ? createClient(options.url, options.serviceKey)
+      : null;
+  }
+
+  /**
+   * Whether the provider is configured and can handle requests
+   * @returns {boolean} True if available
+   */
+  isAvailable() {
+    return this.client !== null;
+  }
+
+  /**
+   * Check that the Supabase auth service answers
+   * @param {number} timeout Time to wait for an answer in milliseconds
+   * @returns {Promise<boolean>} True when the service is healthy
+   */
+  async ping(timeout) {
+    if (!this.client) {
+      throw new Error('Not configured');
+    }
+
+    const response = await fetch(`${this.url}/auth/v1/health`, {
+      headers: { apikey: this.serviceKey },
+      signal: AbortSignal.timeout(timeout)
+    });
+    if (!response.ok) {
+      throw new Error(`Supabase auth health check failed with status ${response.status}`);
+    }
+    return true;
+  }
+
+  /**
+   * Create a new anonymous user
+   * @returns {Promise<Object>} The user and session ({ user: { id }, session: { access_token } })
+   */
+  async signInAnonymously() {
+    const { data, error } = await this.client.auth.signInAnonymously();
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      user: { id: data.user.id },
+      session: { access_token: data.session.access_token }
+    };
+  }
+
+  /**
+   * Attach an email and password to an anonymous Supabase user
+   * The email goes through Supabase's confirmation flow: the user stays anonymous until it
+   * follows the link Supabase sends, and keeps its ID, so its geek and history stay attached to it.
+   * @param {string} userId The anonymous user ID
+   * @param {Object} credentials The email and password
+   * @param {string} token The access token of the anonymous user
+   * @returns {Promise<Object>} The user and session ({ user: { id, email }, session: { access_token },
+   *   confirmationPending }), confirmationPending is true until the email is confirmed
+   * @throws {AuthError} If the credentials are invalid, the email is taken or the user is already registered
+   */
+  async linkIdentity(userId, credentials, token) {
+    const { email, password } = validateCredentials(credentials);
+
+    const { data, error } = await this.client.auth.admin.getUserById(userId);
+    if (error) {
+      throw error;
+    }
+    if (!data.user.is_anonymous) {
+      throw new AuthError(AUTH_ERRORS.ALREADY_REGISTERED, 'This account is already registered');
+    }
+
+    // Update the user with its own session rather than the admin API, which would skip the confirmation
+    const response = await fetch(`${this.url}/auth/v1/user`, {
+      method: 'PUT',
+      headers: {
+        apikey: this.serviceKey,
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ email, password })
+    });
+    const user = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const code = user.error_code || user.code;
+      if (code === 'email_exists') {
+        throw new AuthError(AUTH_ERRORS.EMAIL_TAKEN, 'This email is already registered');
+      }
+      if (code === 'weak_password') {
+        throw new AuthError(AUTH_ERRORS.WEAK_PASSWORD, user.msg || 'Password is too weak');
+      }
+      throw new Error(`Supabase user update failed with status ${response.status}: ${user.msg || 'unknown error'}`);
+    }
+
+    // Projects that don't require email confirmation apply the address right away
+    const confirmationPending = Boolean(user.new_email);
+
+    return {
+      user: { id: userId, email },
+      session: { access_token: token },
+      confirmationPending
+    };
+  }
+
+  /**
+   * Sign in with an email and password
+   * @param {Object} credentials The email and password
+   * @returns {Promise<Object>} The user and session ({ user: { id, email }, session: { access_token } })
+   * @throws {AuthError} If the email and password don't match a user
+   */
+  async signInWithPassword({ email, password }) {
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      throw new AuthError(AUTH_ERRORS.INVALID_CREDENTIALS, 'Invalid email or password');
+    }
+
+    const { data, error } = await this.client.auth.signInWithPassword({
+      email: email.trim().toLowerCase(),
+      password
+    });
+
+    if (error) {
+      if (error.code === 'invalid_credentials' || error.status === 400) {
+        throw new AuthError(AUTH_ERRORS.INVALID_CREDENTIALS, 'Invalid email or password');
+      }
+      throw error;
+    }
+
+    return {
+      user: { id: data.user.id, email: data.user.email },
+      session: { access_token: data.session.access_token }
+    };
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token The access token
+   * @returns {Promise<Object|null>} The user ({ id, anon }) or null if the token is invalid
+   */
+  async verifyToken(token) {
+    const { data, error } = await this.client.auth.getUser(token);
+
+    if (error || !data || !data.user) {
+      return null;
+    }
+
+    return { id: data.user.id, anon: data.user.is_anonymous === true };
+  }
+}
+
+module.exports = { SupabaseAuthProvider };
@@ -0,0 +1,33 @@
+/**
+ * Event Broadcasters
+ * Selects how presence events reach every server instance.
+ *
+ * Every broadcaster exposes the same interface:
+ * start(), publish(event), subscribe(handler) and close().
+ * Published events are handed to the subscribers of every instance,
+ * including the one that published them.
+ */
+const { LocalBroadcaster } = require('./local');
+const { PostgresBroadcaster } = require('./postgres');
+
+/**
+ * Create the broadcaster configured for this server
+ * @param {Object} [options] Broadcaster options
+ * @param {string} [options.driver='local'] Broadcaster driver ('local' or 'postgres')
+ * @param {string} [options.databaseUrl] PostgreSQL connection string
+ * @returns {LocalBroadcaster|PostgresBroadcaster} The broadcaster
+ */
+function createBroadcaster(options = {}) {
+  const driver = options.driver || 'local';
+
+  switch (driver) {
+    case 'local':
+      return new LocalBroadcaster();
+    case 'postgres':
+      return new PostgresBroadcaster({ connectionString: options.databaseUrl });
+    default:
+      throw new Error(`Unknown broadcaster: ${driver}`);
+  }
+}
+
+module.exports = { createBroadcaster };
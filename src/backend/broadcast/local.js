@@ -0,0 +1,43 @@
+/**
+ * In-Process Broadcaster
+ * Hands events straight to the subscribers of this process.
+ * Only suitable when a single server instance is running.
+ */
+
+class LocalBroadcaster {
+  constructor() {
+    this.name = 'local';
+    this.handlers = [];
+  }
+
+  /**
+   * Nothing to connect to, kept for parity with the other broadcasters
+   * @returns {Promise<void>}
+   */
+  async start() {}
+
+  /**
+   * Deliver an event to the subscribers
+   * @param {Object} event The event data
+   * @returns {Promise<void>}
+   */
+  async publish(event) {
+    this.handlers.forEach(handler => handler(event));
+  }
+
+  /**
+   * Register a handler for published events
+   * @param {Function} handler Called with each event
+   */
+  subscribe(handler) {
+    this.handlers.push(handler);
+  }
+
+  /**
+   * Nothing to close, kept for parity with the other broadcasters
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+module.exports = { LocalBroadcaster };
@@ -0,0 +1,155 @@
+/**
+ * PostgreSQL Broadcaster
+ * Fans events out to every server instance through LISTEN/NOTIFY,
+ * using a dedicated connection that listens on the `geek_events` channel.
+ */
+const { Client } = require('pg');
+const { logger } = require('../logger');
+
+const CHANNEL = 'geek_events';
+
+// NOTIFY payloads must be shorter than 8000 bytes
+const MAX_PAYLOAD_SIZE = 7999;
+
+class PostgresBroadcaster {
+  /**
+   * Create a new PostgreSQL broadcaster
+   * @param {Object} options Broadcaster options
+   * @param {string} options.connectionString PostgreSQL connection string
+   * @param {number} [options.reconnectDelay=1000] Delay before the first reconnect attempt, doubled up to 30s while it fails (ms)
+   */
+  constructor(options = {}) {
+    this.name = 'postgres';
+    this.connectionString = options.connectionString;
+    this.reconnectDelay = options.reconnectDelay || 1000;
+    this.nextReconnectDelay = this.reconnectDelay;
+    this.handlers = [];
+    this.client = null;
+    this.closed = false;
+    this.reconnectTimer = null;
+  }
+
+  /**
+   * Connect and start listening for events
+   * If the connection fails, it keeps retrying in the background.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const client = new Client({ connectionString: this.connectionString });
+
+    client.on('notification', (message) => {
+      if (message.channel !== CHANNEL) {
+        return;
+      }
+
+      try {
+        this.deliver(JSON.parse(message.payload));
+      } catch (error) {
+        logger.error('Error parsing broadcast notification', { error });
+      }
+    });
+
+    client.on('error', (error) => {
+      logger.error('Broadcast connection error', { error });
+      this.reconnect(client);
+    });
+
+    client.on('end', () => this.reconnect(client));
+
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${CHANNEL}`);
+    } catch (error) {
+      this.reconnect(client);
+      throw error;
+    }
+
+    this.client = client;
+    this.nextReconnectDelay = this.reconnectDelay;
+  }
+
+  /**
+   * Send an event to every instance
+   * Falls back to delivering it locally if the notification can't be sent,
+   * so this instance's clients still see it.
+   * @param {Object} event The event data
+   * @returns {Promise<void>}
+   */
+  async publish(event) {
+    const payload = JSON.stringify(event);
+
+    if (!this.client || Buffer.byteLength(payload) > MAX_PAYLOAD_SIZE) {
+      logger.warn('Broadcasting to this instance only', { type: event.type });
+      this.deliver(event);
+      return;
+    }
+
+    try {
+      await this.client.query('SELECT pg_notify($1, $2)', [CHANNEL, payload]);
+    } catch (error) {
+      logger.error('Error publishing broadcast', { error });
+      this.deliver(event);
+    }
+  }
+
+  /**
+   * Register a handler for published events
+   * @param {Function} handler Called with each event
+   */
+  subscribe(handler) {
+    this.handlers.push(handler);
+  }
+
+  /**
+   * Stop listening and close the connection
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+
+    if (this.client) {
+      const client = this.client;
+      this.client = null;
+      client.removeAllListeners('end');
+      await client.end();
+    }
+  }
+
+  /**
+   * Hand an event to the subscribers of this instance
+   * @param {Object} event The event data
+   */
+  deliver(event) {
+    this.handlers.forEach(handler => handler(event));
+  }
+
+  /**
+   * Replace a lost connection, retrying until it succeeds
+   * Events published while disconnected are only delivered locally.
+   * @param {Client} lostClient The connection that failed
+   */
+  reconnect(lostClient) {
+    lostClient.removeAllListeners();
+    lostClient.on('error', () => {});
+    lostClient.end().catch(() => {});
+
+    if (this.client === lostClient) {
+      this.client = null;
+    }
+
+    if (this.closed || this.reconnectTimer) {
+      return;
+    }
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.start()
+        .then(() => logger.info('Broadcast connection restored'))
+        .catch(error => logger.error('Error reconnecting broadcaster', { error }));
+    }, this.nextReconnectDelay);
+    this.nextReconnectDelay = Math.min(this.nextReconnectDelay * 2, 30000);
+  }
+}
+
+module.exports = { PostgresBroadcaster };
@@ -0,0 +1,95 @@
+/**
+ * Chat
+ * Filtering and rate limiting of the chat messages geeks send to the geeks
+ * around them.
+ */
+
+// Words masked in chat messages, extended with CHAT_BLOCKED_WORDS (comma separated)
+const DEFAULT_BLOCKED_WORDS = ['fuck', 'shit', 'bitch', 'cunt', 'asshole', 'bastard', 'dick'];
+
+// Control and invisible formatting characters, including line breaks, don't belong in a one line message
+const CONTROL_CHARACTERS = /[\u0000-\u001F\u007F-\u009F\u200B-\u200F\u202A-\u202E\u2060-\u206F]/g;
+
+/**
+ * Build the pattern matching the blocked words, along with their plurals
+ * @param {Array<string>} words The blocked words
+ * @returns {RegExp|null} The pattern or null if there are no words
+ */
+function blockedWordsPattern(words) {
+  const escaped = words
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+  return escaped.length > 0 ? new RegExp(`\\b(?:${escaped.join('|')})(?:e?s)?\\b`, 'gi') : null;
+}
+
+const blockedWords = blockedWordsPattern([
+  ...DEFAULT_BLOCKED_WORDS,
+  ...(process.env.CHAT_BLOCKED_WORDS || '').split(',')
+]);
+
+/**
+ * Clean up a chat message: strip control characters, collapse whitespace and mask blocked words
+ * @param {string} text The message as sent by the client
+ * @returns {string|null} The message to deliver or null if nothing is left of it
+ */
+function filterMessage(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  const cleaned = text
+    .replace(CONTROL_CHARACTERS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (cleaned === '') {
+    return null;
+  }
+
+  return blockedWords ? cleaned.replace(blockedWords, match => '*'.repeat(match.length)) : cleaned;
+}
+
+/**
+ * Sliding window rate limiter, counting the actions of each key
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options Limiter options
+   * @param {number} options.limit Actions allowed per interval
+   * @param {number} options.interval Length of the window in milliseconds
+   */
+  constructor({ limit, interval }) {
+    this.limit = limit;
+    this.interval = interval;
+    this.actions = new Map(); // key -> timestamps of the actions in the window
+  }
+
+  /**
+   * Record an action if the key is still within its limit
+   * @param {string} key Who is acting, e.g. a client ID
+   * @param {number} [now=Date.now()] Current time in milliseconds
+   * @returns {boolean} True if the action is allowed
+   */
+  allow(key, now = Date.now()) {
+    const recent = (this.actions.get(key) || []).filter(time => now - time < this.interval);
+    if (recent.length >= this.limit) {
+      this.actions.set(key, recent);
+      return false;
+    }
+
+    recent.push(now);
+    this.actions.set(key, recent);
+    return true;
+  }
+
+  /**
+   * Drop the actions of a key, e.g. once its last connection is gone
+   * @param {string} key The key
+   */
+  forget(key) {
+    this.actions.delete(key);
+  }
+}
+
+module.exports = { filterMessage, RateLimiter };
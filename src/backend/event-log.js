@@ -0,0 +1,64 @@
+/**
+ * Presence Event Log
+ * Numbers every broadcast event and keeps the most recent ones so that
+ * reconnecting clients can catch up on what they missed.
+ */
+const crypto = require('crypto');
+
+class EventLog {
+  /**
+   * Create a new event log
+   * @param {Object} [options] Log options
+   * @param {number} [options.size=1000] Number of recent events to keep
+   */
+  constructor(options = {}) {
+    this.size = options.size || 1000;
+    this.events = [];
+    this.seq = 0;
+
+    // Sequence numbers restart with the process, the epoch tells clients when that happened
+    this.epoch = crypto.randomUUID();
+  }
+
+  /**
+   * Number an event and remember it
+   * @param {Object} event The event data (must have a type)
+   * @returns {Object} The event with its sequence number
+   */
+  append(event) {
+    const sequenced = { ...event, seq: ++this.seq };
+
+    this.events.push(sequenced);
+    if (this.events.length > this.size) {
+      this.events.shift();
+    }
+
+    return sequenced;
+  }
+
+  /**
+   * Get the events that happened after a sequence number
+   * @param {number} seq The last sequence number the client has seen
+   * @param {string} [epoch] The epoch the sequence number belongs to
+   * @returns {Array<Object>|null} The missed events, or null if they are no longer
+   *   available and the client needs a full snapshot
+   */
+  since(seq, epoch) {
+    if (epoch !== undefined && epoch !== this.epoch) {
+      return null;
+    }
+
+    if (!Number.isInteger(seq) || seq < 0 || seq > this.seq) {
+      return null;
+    }
+
+    const oldest = this.events.length > 0 ? this.events[0].seq : this.seq + 1;
+    if (seq + 1 < oldest) {
+      return null;
+    }
+
+    return this.events.filter(event => event.seq > seq);
+  }
+}
+
+module.exports = { EventLog };
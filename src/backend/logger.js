@@ -0,0 +1,156 @@
+/**
+ * Logger
+ * Writes one JSON object per line with a level, a message and structured fields.
+ * Child loggers carry fields such as correlation ids into every entry they write.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Fields whose values are never written to the log
+const SECRET_FIELDS = new Set([
+  'token', 'access_token', 'refresh_token', 'password', 'secret',
+  'adminkey', 'admin_key', 'x-admin-key', 'authorization', 'cookie'
+]);
+
+// Fields that identify a user, only a short prefix is kept so entries can still be told apart
+const IDENTIFIER_FIELDS = new Set(['clientid', 'client_id', 'user_id', 'userid']);
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 5;
+
+class Logger {
+  /**
+   * @param {Object} [options] Logger options
+   * @param {string} [options.level='info'] Lowest level written (debug, info, warn, error or silent)
+   * @param {Object} [options.fields] Fields added to every entry
+   * @param {Function} [options.write] Receives each formatted line
+   */
+  constructor(options = {}) {
+    const level = options.level || 'info';
+    if (!(level in LEVELS)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+
+    this.level = level;
+    this.fields = options.fields || {};
+    this.write = options.write || (line => process.stdout.write(line + '\n'));
+  }
+
+  /**
+   * Create a logger that adds fields to every entry
+   * @param {Object} fields Fields such as a correlation id
+   * @returns {Logger} The child logger
+   */
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      fields: { ...this.fields, ...fields },
+      write: this.write
+    });
+  }
+
+  /**
+   * Check whether entries of a level are written
+   * @param {string} level The level
+   * @returns {boolean} True when the level is enabled
+   */
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * Write an entry
+   * @param {string} level The level
+   * @param {string} message What happened
+   * @param {Object} [fields] Structured details, an Error can be passed as `error`
+   */
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...redact({ ...this.fields, ...fields })
+    };
+    this.write(JSON.stringify(entry));
+  }
+}
+
+/**
+ * Copy a value with secrets removed, identifiers shortened and errors serialized
+ * @param {*} value The value to log
+ * @param {number} [depth=0] Current nesting depth
+ * @returns {*} A value that is safe to log
+ */
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code ? { code: value.code } : {}),
+      stack: value.stack
+    };
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return '[Object]';
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const name = key.toLowerCase();
+    if (SECRET_FIELDS.has(name)) {
+      result[key] = item == null ? item : REDACTED;
+    } else if (IDENTIFIER_FIELDS.has(name) && typeof item === 'string') {
+      result[key] = shortenIdentifier(item);
+    } else {
+      result[key] = redact(item, depth + 1);
+    }
+  }
+  return result;
+}
+
+/**
+ * Keep the first characters of an identifier
+ * @param {string} id The identifier
+ * @returns {string} The shortened identifier
+ */
+function shortenIdentifier(id) {
+  return id.length > 8 ? id.substring(0, 8) + '...' : id;
+}
+
+// Logger shared by the server modules, configured with LOG_LEVEL
+const logger = new Logger({ level: process.env.LOG_LEVEL || 'info' });
+
+module.exports = { Logger, logger, redact };
@@ -0,0 +1,199 @@
+/**
+ * Metrics
+ * Minimal counters, gauges and histograms rendered in the Prometheus
+ * text exposition format for the /metrics endpoint.
+ */
+
+// Default histogram buckets in seconds, from 1ms to 10s
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * Create and register a counter
+   * @param {string} name Metric name
+   * @param {string} help Description
+   * @returns {Counter} The counter
+   */
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  /**
+   * Create and register a gauge whose value is read when metrics are rendered
+   * @param {string} name Metric name
+   * @param {string} help Description
+   * @param {Function} collect Returns the current value
+   * @returns {Gauge} The gauge
+   */
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  /**
+   * Create and register a histogram
+   * @param {string} name Metric name
+   * @param {string} help Description
+   * @param {Array<number>} [buckets] Upper bounds of the buckets
+   * @returns {Histogram} The histogram
+   */
+  histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   * @returns {string} The exposition text
+   */
+  render() {
+    return this.metrics.map(metric => metric.render().join('\n')).join('\n') + '\n';
+  }
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.values = new Map();
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object} [labels] Label values
+   * @param {number} [value=1] Amount to add
+   */
+  inc(labels = {}, value = 1) {
+    const key = labelKey(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${key} ${value}`);
+    }
+    return lines;
+  }
+}
+
+class Gauge {
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.collect = collect;
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} gauge`,
+      `${this.name} ${this.collect()}`
+    ];
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels Label values
+   * @param {number} value The observed value
+   */
+  observe(labels, value) {
+    const key = labelKey(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+
+    const series = this.series.get(key);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer that records the elapsed seconds when called
+   * @param {Object} [labels] Label values
+   * @returns {Function} Stops the timer and records the duration
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return () => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${labelKey({ ...series.labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${labelKey({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${labelKey(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${labelKey(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Format label values as a Prometheus label set
+ * @param {Object} labels Label values
+ * @returns {string} The label set, e.g. {type="spawn_user"}, or an empty string
+ */
+function labelKey(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return '{' + entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',') + '}';
+}
+
+/**
+ * Wrap a storage so the duration and failures of every method call are recorded
+ * @param {Object} storage The storage
+ * @param {Histogram} durations Histogram of call durations, labelled by operation
+ * @param {Counter} errors Counter of failed calls, labelled by operation
+ * @returns {Object} A storage with the same interface
+ */
+function instrumentStorage(storage, durations, errors) {
+  return new Proxy(storage, {
+    get(target, property) {
+      const value = target[property];
+      if (typeof value !== 'function') {
+        return value;
+      }
+
+      return async (...args) => {
+        const stop = durations.startTimer({ operation: property });
+        try {
+          return await value.apply(target, args);
+        } catch (error) {
+          errors.inc({ operation: property });
+          throw error;
+        } finally {
+          stop();
+        }
+      };
+    }
+  });
+}
+
+module.exports = { Registry, instrumentStorage };
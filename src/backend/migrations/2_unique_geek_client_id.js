@@ -0,0 +1,20 @@
+/* Migration to allow only one geek per client_id */
+exports.up = (pgm) => {
+  // Remove duplicates left by concurrent spawns, keeping the oldest geek of each client
+  pgm.sql(`
+    DELETE FROM geeks duplicate
+    USING geeks original
+    WHERE duplicate.client_id IS NOT NULL
+      AND duplicate.client_id = original.client_id
+      AND duplicate.id > original.id
+  `);
+  
+  // The unique constraint comes with its own index
+  pgm.dropIndex('geeks', 'client_id');
+  pgm.addConstraint('geeks', 'geeks_client_id_unique', { unique: 'client_id' });
+};
+
+exports.down = (pgm) => {
+  pgm.dropConstraint('geeks', 'geeks_client_id_unique');
+  pgm.createIndex('geeks', 'client_id');
+};
@@ -0,0 +1,18 @@
+/* Migration to create the geek_sessions table */
+exports.up = (pgm) => {
+  // One row per WebSocket connection, open while disconnected_at is null
+  pgm.createTable('geek_sessions', {
+    id: 'id',
+    geek_id: { type: 'integer', notNull: true, references: 'geeks', onDelete: 'CASCADE' },
+    client_id: { type: 'text', notNull: true },
+    connected_at: { type: 'timestamp', notNull: true, default: pgm.func('current_timestamp') },
+    disconnected_at: { type: 'timestamp' }
+  });
+  
+  pgm.createIndex('geek_sessions', ['geek_id', 'connected_at']);
+  pgm.createIndex('geek_sessions', 'disconnected_at');
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('geek_sessions');
+};
@@ -0,0 +1,20 @@
+/* Migration to create the presence_samples table */
+exports.up = (pgm) => {
+  // Periodic snapshot of how many geeks were online
+  pgm.createTable('presence_samples', {
+    id: 'id',
+    sampled_at: { type: 'timestamp', notNull: true, default: pgm.func('current_timestamp') },
+    online: { type: 'integer', notNull: true },
+    connections: { type: 'integer', notNull: true }
+  });
+  
+  pgm.createIndex('presence_samples', 'sampled_at');
+  
+  // History queries look for sessions overlapping a time range
+  pgm.createIndex('geek_sessions', 'connected_at');
+};
+
+exports.down = (pgm) => {
+  pgm.dropIndex('geek_sessions', 'connected_at');
+  pgm.dropTable('presence_samples');
+};
@@ -0,0 +1,12 @@
+/* Migration to index anonymous geeks by their last activity, for the retention job */
+exports.up = (pgm) => {
+  pgm.sql(`
+    CREATE INDEX geeks_inactive_anon_last_active_index
+    ON geeks (COALESCE(updated_at, created_at))
+    WHERE anon = true AND active = false
+  `);
+};
+
+exports.down = (pgm) => {
+  pgm.sql('DROP INDEX geeks_inactive_anon_last_active_index');
+};
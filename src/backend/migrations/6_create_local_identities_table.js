@@ -0,0 +1,15 @@
+/* Migration to create the local_identities table */
+exports.up = (pgm) => {
+  // Email/password identities attached to anonymous users by the local auth provider
+  pgm.createTable('local_identities', {
+    id: 'id',
+    client_id: { type: 'text', notNull: true, unique: true },
+    email: { type: 'text', notNull: true, unique: true },
+    password_hash: { type: 'text', notNull: true },
+    created_at: { type: 'timestamp', notNull: true, default: pgm.func('current_timestamp') }
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('local_identities');
+};
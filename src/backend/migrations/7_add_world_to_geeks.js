@@ -0,0 +1,21 @@
+/* Migration to place geeks in worlds, a client has one geek per world */
+exports.up = (pgm) => {
+  // Geeks created before there were worlds live on the original planet
+  pgm.addColumn('geeks', {
+    world: { type: 'text', notNull: true, default: 'earth' }
+  });
+  
+  pgm.dropConstraint('geeks', 'geeks_client_id_unique');
+  pgm.addConstraint('geeks', 'geeks_client_id_world_unique', { unique: ['client_id', 'world'] });
+  pgm.createIndex('geeks', 'world');
+};
+
+exports.down = (pgm) => {
+  // Only one geek per client fits the old constraint, keep the ones on the original planet
+  pgm.sql(`DELETE FROM geeks WHERE world <> 'earth'`);
+  
+  pgm.dropIndex('geeks', 'world');
+  pgm.dropConstraint('geeks', 'geeks_client_id_world_unique');
+  pgm.addConstraint('geeks', 'geeks_client_id_unique', { unique: 'client_id' });
+  pgm.dropColumn('geeks', 'world');
+};
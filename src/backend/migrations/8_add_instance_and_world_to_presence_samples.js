@@ -0,0 +1,15 @@
+/* Migration to record which server instance and world each presence sample counts */
+exports.up = (pgm) => {
+  // Older samples counted every world of a single instance, both stay empty for them
+  pgm.addColumns('presence_samples', {
+    instance_id: { type: 'text' },
+    world: { type: 'text' }
+  });
+  
+  pgm.createIndex('presence_samples', ['world', 'sampled_at']);
+};
+
+exports.down = (pgm) => {
+  pgm.dropIndex('presence_samples', ['world', 'sampled_at']);
+  pgm.dropColumns('presence_samples', ['instance_id', 'world']);
+};
@@ -0,0 +1,21 @@
+/* Migration to track the running server instances and the instance of each session */
+exports.up = (pgm) => {
+  // Each instance registers itself and sends a heartbeat with every presence sweep
+  pgm.createTable('server_instances', {
+    id: { type: 'text', primaryKey: true },
+    started_at: { type: 'timestamp', notNull: true, default: pgm.func('current_timestamp') },
+    last_seen_at: { type: 'timestamp', notNull: true, default: pgm.func('current_timestamp') }
+  });
+  
+  // Sessions from before this migration have no instance and are closed by the first sweep
+  pgm.addColumn('geek_sessions', {
+    instance_id: { type: 'text' }
+  });
+  pgm.createIndex('geek_sessions', 'instance_id', { where: 'disconnected_at IS NULL' });
+};
+
+exports.down = (pgm) => {
+  pgm.dropIndex('geek_sessions', 'instance_id');
+  pgm.dropColumn('geek_sessions', 'instance_id');
+  pgm.dropTable('server_instances');
+};
@@ -0,0 +1,121 @@
+/**
+ * Presence History
+ * Groups presence samples and sessions into time buckets for the
+ * online-count history endpoint.
+ */
+
+/**
+ * Combine the samples of every server instance and world into one per sample window
+ * Each instance samples each of its worlds once per interval, at its own pace, so the
+ * samples of a window are added up. An instance that sampled a world twice in a window
+ * counts once, with its highest count.
+ * @param {Array<Object>} samples Presence sample rows, with instance_id and world
+ * @param {number} interval Sample interval in milliseconds
+ * @returns {Array<Object>} One sample per window, oldest first: { sampled_at, online, connections }
+ */
+function combineSamples(samples, interval) {
+  const windows = new Map(); // window start -> Map(instance and world -> highest sample)
+
+  samples.forEach(sample => {
+    const start = Math.floor(sample.sampled_at.getTime() / interval) * interval;
+    if (!windows.has(start)) {
+      windows.set(start, new Map());
+    }
+
+    const sources = windows.get(start);
+    const key = `${sample.instance_id}/${sample.world}`;
+    const previous = sources.get(key);
+    if (!previous || sample.online > previous.online) {
+      sources.set(key, sample);
+    }
+  });
+
+  return Array.from(windows.keys())
+    .sort((a, b) => a - b)
+    .map(start => {
+      const sources = Array.from(windows.get(start).values());
+      return {
+        sampled_at: new Date(start),
+        online: sources.reduce((total, sample) => total + sample.online, 0),
+        connections: sources.reduce((total, sample) => total + sample.connections, 0)
+      };
+    });
+}
+
+/**
+ * Summarize presence per time bucket
+ * Peak and average come from the periodic samples, unique visitors from the
+ * sessions that overlap each bucket.
+ * @param {Object} data The raw history data
+ * @param {Array<Object>} data.samples Presence samples, one per sample window, oldest first
+ * @param {Array<Object>} data.sessions Session rows overlapping the range
+ * @param {Date} data.from Start of the range
+ * @param {Date} data.to End of the range
+ * @param {number} data.bucket Bucket size in milliseconds
+ * @returns {Array<Object>} One entry per bucket: { start, end, peak, average, unique, samples }
+ */
+function summarizePresence({ samples, sessions, from, to, bucket }) {
+  // Buckets line up with multiples of the bucket size (e.g. on the hour), the first one may start before from
+  const start = Math.floor(from.getTime() / bucket) * bucket;
+  const count = Math.ceil((to.getTime() - start) / bucket);
+
+  const buckets = [];
+  for (let i = 0; i < count; i++) {
+    buckets.push({
+      start: new Date(start + i * bucket),
+      end: new Date(Math.min(start + (i + 1) * bucket, to.getTime())),
+      peak: 0,
+      total: 0,
+      samples: 0,
+      visitors: new Set()
+    });
+  }
+
+  samples.forEach(sample => {
+    const entry = buckets[Math.floor((sample.sampled_at.getTime() - start) / bucket)];
+    if (!entry) return;
+
+    entry.peak = Math.max(entry.peak, sample.online);
+    entry.total += sample.online;
+    entry.samples++;
+  });
+
+  sessions.forEach(session => {
+    const connectedAt = session.connected_at.getTime();
+    const disconnectedAt = session.disconnected_at ? session.disconnected_at.getTime() : to.getTime();
+
+    // Every bucket the session overlaps counts the geek once
+    const first = Math.max(0, Math.floor((connectedAt - start) / bucket));
+    const last = Math.min(count - 1, Math.floor((disconnectedAt - start) / bucket));
+    for (let i = first; i <= last; i++) {
+      buckets[i].visitors.add(session.geek_id);
+    }
+  });
+
+  return buckets.map(entry => ({
+    start: entry.start,
+    end: entry.end,
+    peak: entry.peak,
+    average: entry.samples > 0 ? Math.round((entry.total / entry.samples) * 100) / 100 : 0,
+    unique: entry.visitors.size,
+    samples: entry.samples
+  }));
+}
+
+/**
+ * Parse a bucket size like "15m", "1h", "1d" or a number of seconds
+ * @param {string} value The bucket size
+ * @returns {number|null} The bucket size in milliseconds or null if invalid
+ */
+function parseBucket(value) {
+  const match = /^(\d+)([smhd]?)$/.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+
+  const units = { '': 1000, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  const size = parseInt(match[1], 10) * units[match[2]];
+  return size > 0 ? size : null;
+}
+
+module.exports = { combineSamples, summarizePresence, parseBucket };
@@ -0,0 +1,58 @@
+/**
+ * Retention
+ * Purges anonymous geeks that nobody has used for a while, so the geeks table
+ * doesn't keep a row for every visitor forever.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Geeks deleted per storage call
+const DEFAULT_BATCH_SIZE = 500;
+
+/**
+ * Delete, or only report, the anonymous geeks inactive for longer than the policy allows
+ * Connected geeks are active, so they are never matched.
+ * @param {Object} options Retention options
+ * @param {Object} options.storage The geek storage
+ * @param {number} options.maxInactiveDays Days an anonymous geek may stay inactive
+ * @param {boolean} [options.dryRun=false] Only report the geeks that would be deleted
+ * @param {number} [options.batchSize=500] Geeks deleted per storage call
+ * @param {Date} [options.now] Current time
+ * @param {Function} [options.onDelete] Called with each deleted geek row
+ * @returns {Promise<Object>} The report ({ dry_run, max_inactive_days, cutoff, count, geeks })
+ */
+async function runRetention(options) {
+  const { storage, maxInactiveDays, dryRun = false, batchSize = DEFAULT_BATCH_SIZE, onDelete } = options;
+  const now = options.now || new Date();
+  const cutoff = new Date(now.getTime() - maxInactiveDays * DAY);
+  const query = { anon: true, inactiveBefore: cutoff };
+
+  let geeks;
+  if (dryRun) {
+    geeks = await storage.findInactiveGeeks(query);
+  } else {
+    geeks = [];
+    let deleted;
+    do {
+      deleted = await storage.deleteInactiveGeeks({ ...query, limit: batchSize });
+      deleted.forEach(geek => {
+        geeks.push(geek);
+        if (onDelete) onDelete(geek);
+      });
+    } while (deleted.length === batchSize);
+  }
+
+  return {
+    dry_run: dryRun,
+    max_inactive_days: maxInactiveDays,
+    cutoff: cutoff.toISOString(),
+    count: geeks.length,
+    geeks: geeks.map(geek => ({
+      id: geek.id,
+      created_at: geek.created_at,
+      last_active_at: geek.updated_at || geek.created_at
+    }))
+  };
+}
+
+module.exports = { runRetention };
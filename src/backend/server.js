@@ -6,10 +6,42 @@ const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
-const { Pool } = require('pg');
-const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
+const { createStorage } = require('./storage');
+const { createAuthProvider, createAdminGuard, AUTH_ERRORS, AuthError } = require('./auth');
+const { createBroadcaster } = require('./broadcast');
+const { EventLog } = require('./event-log');
+const { combineSamples, summarizePresence, parseBucket } = require('./presence-history');
+const { SseConnection } = require('./sse-connection');
+const { Registry, instrumentStorage } = require('./metrics');
+const { logger } = require('./logger');
+const { runRetention } = require('./retention');
+const { filterMessage, RateLimiter } = require('./chat');
+const {
+  WORLDS,
+  WORLD_CONFIG,
+  resolveWorldId,
+  getWorldConfig,
+  randomGeekAttributes,
+  projectToSurface,
+  greatCircleDistance,
+  moveTowards,
+  clampSize
+} = require('./world-config');
+const {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  ENCODINGS,
+  ERROR_CODES,
+  protocolName,
+  parseProtocolName,
+  negotiateProtocol,
+  validateClientMessage,
+  validateServerMessage
+} = require('../shared/protocol.mjs');
+const { encodeMessage } = require('../shared/binary-codec.mjs');
 
 // Create Express app
 const app = express();
@@ -19,102 +51,248 @@ app.use(cors());
 // Create HTTP server
 const server = http.createServer(app);
 
-// Initialize WebSocket server
-const wss = new WebSocket.Server({ server });
+// Initialize WebSocket server, negotiating the protocol version in the handshake
+const wss = new WebSocket.Server({
+  server,
+  handleProtocols: (protocols) => negotiateProtocol(protocols) || false
+});
 
 // Set to store active WebSocket connections
 const clients = new Set();
 
+// Clients following presence over Server-Sent Events
+const sseClients = new Set();
+
+// Live connections per world and client ID, a geek stays online while any of its tabs/devices is connected
+const connectionsByWorld = new Map(Object.keys(WORLDS).map(world => [world, new Map()]));
+
+// Sequenced log of the broadcast events of each world, used to catch up reconnecting clients
+const eventLogs = new Map(Object.keys(WORLDS).map(world => [world, new EventLog({ size: 1000 })]));
+
+// Prometheus metrics, rendered by /metrics
+const metrics = new Registry();
+const messagesReceived = metrics.counter('vibe_ws_messages_received_total', 'WebSocket messages received, by type');
+const eventsBroadcast = metrics.counter('vibe_events_broadcast_total', 'Presence events broadcast to clients, by type');
+const errorsTotal = metrics.counter('vibe_errors_total', 'Errors returned to clients, by source and code');
+const dbErrors = metrics.counter('vibe_db_errors_total', 'Failed storage calls, by operation');
+const dbQueryDuration = metrics.histogram('vibe_db_query_duration_seconds', 'Duration of storage calls, by operation');
+const chatMessages = metrics.counter('vibe_chat_messages_total', 'Chat messages, by outcome');
+const broadcastFanout = metrics.histogram('vibe_broadcast_fanout_seconds', 'Time from receiving an event to sending it to every client');
+metrics.gauge('vibe_websocket_connections', 'Open WebSocket connections', () => clients.size);
+metrics.gauge('vibe_sse_connections', 'Open event stream connections', () => sseClients.size);
+metrics.gauge('vibe_online_geeks', 'Geeks with at least one live connection', countOnlineGeeks);
+
 // Configuration
 const PORT = process.env.PORT || 3000;
 const DATABASE_URL = process.env.DATABASE_URL;
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'postgres'; // 'postgres' or 'memory'
+const BROADCASTER = process.env.BROADCASTER || 'local'; // 'local' or 'postgres' (LISTEN/NOTIFY, for several instances)
+const INSTANCE_ID = process.env.INSTANCE_ID || crypto.randomUUID(); // Tells the data of this server instance apart from the others
+const HEARTBEAT_INTERVAL = parseInt(process.env.HEARTBEAT_INTERVAL) || 30 * 1000; // Ping clients every 30 seconds
+const PRESENCE_SWEEP_INTERVAL = parseInt(process.env.PRESENCE_SWEEP_INTERVAL) || 60 * 1000; // Reconcile presence every minute
+const INSTANCE_TIMEOUT = parseInt(process.env.INSTANCE_TIMEOUT) || 3 * PRESENCE_SWEEP_INTERVAL; // An instance that missed three sweeps is gone
+const PRESENCE_SAMPLE_INTERVAL = parseInt(process.env.PRESENCE_SAMPLE_INTERVAL) || 60 * 1000; // Record the online count every minute
+const BROADCAST_TICK = parseInt(process.env.BROADCAST_TICK) || 50; // Events are sent to clients in batches every 50ms
+const SHUTDOWN_TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT) || 10 * 1000; // Force exit if a graceful shutdown takes longer
+
+// Retention of anonymous geeks
+const RETENTION_ANON_DAYS = process.env.RETENTION_ANON_DAYS !== undefined ? parseInt(process.env.RETENTION_ANON_DAYS) : 30; // Delete anonymous geeks inactive this long, 0 disables
+const RETENTION_INTERVAL = parseInt(process.env.RETENTION_INTERVAL) || 60 * 60 * 1000; // Run the retention job every hour
+const RETENTION_DRY_RUN = process.env.RETENTION_DRY_RUN === 'true'; // Only log what the scheduled job would delete
+
+// Chat settings
+const CHAT_RADIUS = parseInt(process.env.CHAT_RADIUS) || 1500; // Chat reaches the geeks this far away along the surface
+const CHAT_RATE_LIMIT = parseInt(process.env.CHAT_RATE_LIMIT) || 5; // Chat messages a client may send per interval
+const CHAT_RATE_INTERVAL = parseInt(process.env.CHAT_RATE_INTERVAL) || 10 * 1000; // Rate limit window of 10 seconds
+const EMOTE_RATE_LIMIT = parseInt(process.env.EMOTE_RATE_LIMIT) || 10; // Emotes a client may send per interval
+const EMOTE_RATE_INTERVAL = parseInt(process.env.EMOTE_RATE_INTERVAL) || 10 * 1000; // Rate limit window of 10 seconds
+
+// Movement settings
+const MOVE_MAX_SPEED = parseInt(process.env.MOVE_MAX_SPEED) || 250; // Fastest a geek may walk, in units per second along the surface
+const MOVE_RATE_LIMIT = parseInt(process.env.MOVE_RATE_LIMIT) || 20; // Position updates a client may send per second
+const MOVE_MAX_STEP = parseInt(process.env.MOVE_MAX_STEP) || 250; // Longest time a single position update may cover, in milliseconds
+const MOVE_PERSIST_INTERVAL = parseInt(process.env.MOVE_PERSIST_INTERVAL) || 1000; // Write positions to storage at most every second
 
-// Supabase configuration from environment variables
+// Close code telling WebSocket clients the server is restarting (RFC 6455 "Service Restart")
+const CLOSE_SERVICE_RESTART = 1012;
+
+// Auth configuration from environment variables
+const AUTH_PROVIDER = process.env.AUTH_PROVIDER; // 'supabase' or 'local', picked automatically if unset
+const AUTH_SECRET = process.env.AUTH_SECRET; // Signing secret for the local provider
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY; // Use service key for admin operations
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY; // Grants admin access, admin endpoints are disabled if unset
+const AUTH_PING_TIMEOUT = parseInt(process.env.AUTH_PING_TIMEOUT) || 2000; // Time /readyz waits for the auth provider
+
+// Geeks API
+const GEEKS_PAGE_SIZE = 50; // Default page size of GET /api/geeks
+const GEEKS_MAX_PAGE_SIZE = 500;
+const HISTORY_MAX_BUCKETS = 1000; // Largest number of buckets GET /api/stats/history returns
+const GEEK_FIELDS = ['id', 'position', 'size', 'color', 'client_id', 'world', 'active', 'anon', 'connections', 'created_at', 'updated_at'];
+
+// Initialize geek storage, timing every call for /metrics
+const storage = instrumentStorage(createStorage({
+  driver: STORAGE_DRIVER,
+  databaseUrl: DATABASE_URL
+}), dbQueryDuration, dbErrors);
+
+// Create the auth provider, the local provider keeps email/password identities in the storage
+const auth = createAuthProvider({
+  provider: AUTH_PROVIDER,
+  supabaseUrl: SUPABASE_URL,
+  supabaseServiceKey: SUPABASE_SERVICE_KEY,
+  secret: AUTH_SECRET,
+  storage
+});
+
+// Create the admin guard for destructive and synthetic-user operations
+const admin = createAdminGuard(ADMIN_API_KEY);
 
-// Create Supabase client if configured
-const supabase = SUPABASE_URL && SUPABASE_SERVICE_KEY 
-  ? createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
-  : null;
+// Limits how often each client may chat
+const chatLimiter = new RateLimiter({ limit: CHAT_RATE_LIMIT, interval: CHAT_RATE_INTERVAL });
+const emoteLimiter = new RateLimiter({ limit: EMOTE_RATE_LIMIT, interval: EMOTE_RATE_INTERVAL });
+const moveLimiter = new RateLimiter({ limit: MOVE_RATE_LIMIT, interval: 1000 });
 
-// Initialize database connection
-let db;
+// Fans presence events out to the clients of every server instance
+const broadcaster = createBroadcaster({
+  driver: BROADCASTER,
+  databaseUrl: DATABASE_URL
+});
+broadcaster.subscribe(deliverEvent);
 
 // Connect to database
 async function connectToDatabase() {
   try {
-    db = new Pool({
-      connectionString: DATABASE_URL,
-    });
-    
     // Test the connection
-    const result = await db.query('SELECT NOW()');
-    console.log('Connected to database:', result.rows[0].now);
+    const now = await storage.connect();
+    logger.info(`Connected to ${storage.name} storage`, { storage: storage.name, now });
     
     return true;
   } catch (error) {
-    console.error('Error connecting to database:', error);
+    logger.error('Error connecting to database', { error });
     return false;
   }
 }
 
+// Give every request a correlation id and log it once it is answered
+app.use((req, res, next) => {
+  // Reuse the id of a proxy in front of us, as long as it looks like one
+  const requestId = req.get('X-Request-Id');
+  req.id = requestId && /^[\w.:-]{1,128}$/.test(requestId) ? requestId : crypto.randomUUID();
+  req.log = logger.child({ request_id: req.id });
+  res.set('X-Request-Id', req.id);
+  
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const fields = {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      duration_ms: Math.round(Number(process.hrtime.bigint() - start) / 1e6)
+    };
+    if (res.statusCode >= 500) {
+      req.log.error('Request failed', fields);
+    } else if (req.path.startsWith('/api/')) {
+      req.log.info('Request completed', fields);
+    } else {
+      req.log.debug('Request completed', fields);
+    }
+  });
+  next();
+});
+
+// Count server errors for /metrics
+app.use((req, res, next) => {
+  res.on('finish', () => {
+    if (res.statusCode >= 500) {
+      errorsTotal.inc({ source: 'http', code: res.statusCode });
+    }
+  });
+  next();
+});
+
+// Liveness: the process is up and serving requests
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+/**
+ * Run a readiness check and time it
+ * @param {Function} check Resolves when the dependency is usable, rejects otherwise
+ * @returns {Promise<Object>} The result ({ ok, latency_ms } or { ok, error })
+ */
+async function runReadinessCheck(check) {
+  const result = { ok: false };
+  const start = Date.now();
+  try {
+    await check();
+    result.ok = true;
+    result.latency_ms = Date.now() - start;
+  } catch (error) {
+    result.error = error.message;
+  }
+  return result;
+}
+
+// Readiness: the database and auth provider answer and the server isn't shutting down
+app.get('/readyz', async (req, res) => {
+  const [database, authCheck] = await Promise.all([
+    runReadinessCheck(() => storage.ping()),
+    runReadinessCheck(() => auth.ping(AUTH_PING_TIMEOUT))
+  ]);
+  
+  const checks = {
+    database,
+    auth: { provider: auth.name, ...authCheck }
+  };
+  const ready = !shuttingDown && database.ok && authCheck.ok;
+  
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : (shuttingDown ? 'shutting_down' : 'not_ready'),
+    checks
+  });
+});
+
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.render());
+});
+
 // Serve static files from the frontend directory
 app.use(express.static(path.join(__dirname, '../../')));
 
 // API routes
 app.get('/api/stats', async (req, res) => {
   try {
+    // Stats are per world, the default world if none is given
+    const world = resolveWorldId(req.query.world);
+    if (!world) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown world'
+      });
+    }
+    
     // Get total number of users from database
-    const totalResult = await db.query('SELECT COUNT(*) FROM geeks');
-    const totalUsers = parseInt(totalResult.rows[0].count);
+    const totalUsers = await storage.countGeeks({ world });
     
     // Get online users (active users)
-    const onlineUsersResult = await db.query(
-      'SELECT id, position_x, position_y, position_z, size, color, client_id, active, anon FROM geeks WHERE active = true ORDER BY created_at DESC',
-      []
-    );
+    const onlineUsersRows = await storage.listGeeks({ active: true, world });
     
     // Include full user data instead of just IDs
-    const onlineUsers = onlineUsersResult.rows.map(user => ({
-      id: user.id,
-      position: {
-        x: user.position_x,
-        y: user.position_y,
-        z: user.position_z
-      },
-      size: user.size,
-      color: user.color,
-      client_id: user.client_id,
-      active: user.active,
-      anon: user.anon
-    }));
+    const onlineUsers = onlineUsersRows.map(toUserData);
     const totalOnlineUsers = onlineUsers.length;
     
     // Get all users (including inactive ones)
-    const allUsersResult = await db.query(
-      'SELECT id, position_x, position_y, position_z, size, color, client_id, active, anon FROM geeks ORDER BY created_at DESC LIMIT 100',
-      []
-    );
+    const allUsersRows = await storage.listGeeks({ limit: 100, world });
     
     // Include full user data
-    const allUsers = allUsersResult.rows.map(user => ({
-      id: user.id,
-      position: {
-        x: user.position_x,
-        y: user.position_y,
-        z: user.position_z
-      },
-      size: user.size,
-      color: user.color,
-      client_id: user.client_id,
-      active: user.active,
-      anon: user.anon
-    }));
+    const allUsers = allUsersRows.map(toUserData);
     
     // Calculate day-night cycle
     // Use a fixed start time (server start time) to ensure consistency across clients
-    const DAY_DURATION = 30 * 60 * 1000; // 30 minutes for a full day-night cycle
+    const DAY_DURATION = WORLD_CONFIG.day_duration;
     const START_TIME = global.SERVER_START_TIME || (global.SERVER_START_TIME = Date.now());
     const elapsedTime = Date.now() - START_TIME;
     const currentTimeOfDay = (elapsedTime / DAY_DURATION) % 1; // Value between 0 and 1
@@ -131,76 +309,318 @@ app.get('/api/stats', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Error fetching stats:', error);
+    req.log.error('Error fetching stats', { error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// API endpoint to add a random user
-app.post('/api/users/random', async (req, res) => {
+// Presence stream over Server-Sent Events, for networks that block WebSocket upgrades
+// Carries the same snapshot and events as the WebSocket, but is read-only
+app.get('/api/events', (req, res) => {
+  // The stream follows a single world, the default world if none is given
+  const world = resolveWorldId(req.query.world);
+  if (!world) {
+    return res.status(404).json({
+      success: false,
+      error: 'Unknown world'
+    });
+  }
+  
+  const connection = new SseConnection(req, res);
+  connection.protocolVersion = PROTOCOL_VERSION;
+  connection.encoding = ENCODINGS.JSON;
+  connection.world = world;
+  connection.id = crypto.randomUUID();
+  connection.log = req.log.child({ connection_id: connection.id, world });
+  sseClients.add(connection);
+  connection.log.info('SSE connection opened', { sse_clients: sseClients.size });
+  
+  connection.onclose = () => {
+    sseClients.delete(connection);
+    connection.log.info('SSE connection closed', { sse_clients: sseClients.size });
+  };
+  
+  // Reconnecting clients pass the last event they saw, like on the WebSocket
+  const since = req.query.since !== undefined ? parseInt(req.query.since, 10) : undefined;
+  const epoch = req.query.epoch || undefined;
+  
+  syncClient(connection, since, epoch).catch(error => {
+    connection.log.error('Error syncing new SSE client', { error });
+  });
+});
+
+// API endpoint to list the worlds and how many geeks are online in each
+app.get('/api/worlds', (req, res) => {
+  res.json({
+    success: true,
+    worlds: Object.entries(WORLDS).map(([id, world]) => ({
+      id,
+      name: world.name,
+      preset: world.preset,
+      online: connectionsByWorld.get(id).size
+    }))
+  });
+});
+
+// API endpoint to get the configuration clients build a world from (?world=, the default world otherwise)
+app.get('/api/config', (req, res) => {
+  const world = resolveWorldId(req.query.world);
+  if (!world) {
+    return res.status(404).json({
+      success: false,
+      error: 'Unknown world'
+    });
+  }
+  
+  res.json(getWorldConfig(world));
+});
+
+// API endpoint to get the online count history, grouped in time buckets
+// Covers every world unless one is given
+app.get('/api/stats/history', async (req, res) => {
   try {
-    // Get client_id from request body if provided
-    const { client_id } = req.body;
+    const world = req.query.world !== undefined ? resolveWorldId(req.query.world) : null;
+    if (req.query.world !== undefined && !world) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown world'
+      });
+    }
+    
+    const to = req.query.to !== undefined ? new Date(req.query.to) : new Date();
+    const from = req.query.from !== undefined ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    const bucket = parseBucket(req.query.bucket !== undefined ? req.query.bucket : '1h');
+    
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates with from before to'
+      });
+    }
+    if (!bucket) {
+      return res.status(400).json({
+        success: false,
+        error: 'bucket must be a number of seconds or a duration like 15m, 1h or 1d'
+      });
+    }
+    if ((to - from) / bucket > HISTORY_MAX_BUCKETS) {
+      return res.status(400).json({
+        success: false,
+        error: `Too many buckets, use a larger bucket or a shorter range (max ${HISTORY_MAX_BUCKETS})`
+      });
+    }
+    
+    const [samples, sessions] = await Promise.all([
+      storage.listPresenceSamples({ from, to, world }),
+      storage.listSessionsBetween({ from, to, world })
+    ]);
+    
+    res.json({
+      success: true,
+      world,
+      from,
+      to,
+      bucket: bucket / 1000,
+      sample_interval: PRESENCE_SAMPLE_INTERVAL / 1000,
+      buckets: summarizePresence({
+        samples: combineSamples(samples, PRESENCE_SAMPLE_INTERVAL),
+        sessions,
+        from,
+        to,
+        bucket
+      })
+    });
+  } catch (error) {
+    req.log.error('Error fetching stats history', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// API endpoint to list geeks, newest first, one page at a time
+app.get('/api/geeks', async (req, res) => {
+  try {
+    const { query, fields, error } = parseGeekListQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    
+    // Fetch one extra row to know whether there is a next page
+    const rows = await storage.findGeeks({ ...query, limit: query.limit + 1 });
+    const hasMore = rows.length > query.limit;
+    const page = rows.slice(0, query.limit);
+    
+    res.json({
+      success: true,
+      geeks: page.map(row => selectFields(toGeekResource(row), fields)),
+      next_cursor: hasMore ? encodeCursor(page[page.length - 1].id) : null
+    });
+  } catch (error) {
+    req.log.error('Error listing geeks', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// API endpoint to get a single geek
+app.get('/api/geeks/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid geek ID'
+      });
+    }
+    
+    const fields = parseFields(req.query.fields);
+    if (fields instanceof Error) {
+      return res.status(400).json({
+        success: false,
+        error: fields.message
+      });
+    }
+    
+    const row = await storage.findById(id);
+    if (!row) {
+      return res.status(404).json({
+        success: false,
+        error: 'Geek not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      geek: selectFields(toGeekResource(row), fields)
+    });
+  } catch (error) {
+    req.log.error('Error fetching geek', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// API endpoint to get the session history of a geek
+app.get('/api/geeks/:id/sessions', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid geek ID'
+      });
+    }
+    
+    const limit = req.query.limit === undefined ? GEEKS_PAGE_SIZE : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > GEEKS_MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be an integer between 1 and ${GEEKS_MAX_PAGE_SIZE}`
+      });
+    }
+    
+    const geek = await storage.findById(id);
+    if (!geek) {
+      return res.status(404).json({
+        success: false,
+        error: 'Geek not found'
+      });
+    }
+    
+    const sessions = await storage.listSessions(id);
+    const now = new Date();
+    const online = sessions.some(session => !session.disconnected_at);
     
-    // Generate random position on the planet surface
-    const position = generateRandomPosition();
+    // Last time any connection of the geek was seen, now if it is still connected
+    const lastSeen = online
+      ? now
+      : sessions.reduce((latest, session) =>
+          (!latest || session.disconnected_at > latest ? session.disconnected_at : latest), null);
     
-    // Generate random size between 15-40
-    const size = Math.floor(Math.random() * 25) + 15;
+    res.json({
+      success: true,
+      geek_id: id,
+      online,
+      last_seen: lastSeen,
+      total_online_seconds: Math.round(sumOnlineTime(sessions, now) / 1000),
+      session_count: sessions.length,
+      sessions: sessions.slice(0, limit).map(session => ({
+        id: session.id,
+        connected_at: session.connected_at,
+        disconnected_at: session.disconnected_at,
+        duration_seconds: Math.round(((session.disconnected_at || now) - session.connected_at) / 1000)
+      }))
+    });
+  } catch (error) {
+    req.log.error('Error fetching geek sessions', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// API endpoint to add a random user
+app.post('/api/users/random', admin.requireAdmin, async (req, res) => {
+  try {
+    // Get client_id and world from request body if provided
+    const { client_id } = req.body;
+    const world = resolveWorldId(req.body.world);
+    if (!world) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown world'
+      });
+    }
     
-    // Select random color from the list
-    const colors = [
-        '#4285F4', // Blue
-        '#EA4335', // Red
-        '#FBBC05', // Yellow
-        '#34A853', // Green
-        '#9C27B0', // Purple
-        '#FF9800'  // Orange
-    ];
-    const color = colors[Math.floor(Math.random() * colors.length)];
+    // Random position on the planet surface, size and color
+    const { position, size, color } = randomGeekAttributes();
     
-    // Check if a geek with this client_id already exists
+    // Create the geek for this client_id, or activate the existing one
     if (client_id) {
-      const existingResult = await db.query(
-        'SELECT * FROM geeks WHERE client_id = $1',
-        [client_id]
-      );
+      const { geek, created } = await storage.spawnGeek({
+        position,
+        size,
+        color,
+        clientId: client_id,
+        anon: false,
+        world
+      });
       
-      if (existingResult.rows.length > 0) {
-        // Update the existing geek to be active
-        const updateResult = await db.query(
-          'UPDATE geeks SET active = true, updated_at = NOW() WHERE client_id = $1 RETURNING *',
-          [client_id]
-        );
-        
-        const updatedUser = updateResult.rows[0];
-        console.log('Activated existing user:', updatedUser);
-        
-        // Broadcast the user status change
-        broadcastUserStatusChange(client_id, true);
-        
-        // Return success response
-        return res.json({
-          success: true,
-          user: updatedUser
-        });
+      if (created) {
+        req.log.info('Added random user', { geek_id: geek.id, world });
+        broadcastUserAdded(geek);
+      } else {
+        req.log.info('Activated existing user', { geek_id: geek.id, world });
+        broadcastUserStatusChange(client_id, true, world);
       }
+      
+      // Return success response
+      return res.json({
+        success: true,
+        user: geek
+      });
     }
     
     // Create new user in database
-    let query, params;
-    if (client_id) {
-      query = 'INSERT INTO geeks (position_x, position_y, position_z, size, color, client_id, anon, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW()) RETURNING *';
-      params = [position.x, position.y, position.z, size, color, client_id, false];
-    } else {
-      query = 'INSERT INTO geeks (position_x, position_y, position_z, size, color, anon, created_at) VALUES ($1, $2, $3, $4, $5, $6, NOW()) RETURNING *';
-      params = [position.x, position.y, position.z, size, color, false];
-    }
-    
-    const result = await db.query(query, params);
-    
-    const newUser = result.rows[0];
-    console.log('Added random user:', newUser);
+    const newUser = await storage.createGeek({
+      position,
+      size,
+      color,
+      clientId: client_id,
+      anon: false,
+      world
+    });
+    req.log.info('Added random user', { geek_id: newUser.id, world });
     
     // Broadcast to all clients
     broadcastUserAdded(newUser);
@@ -211,7 +631,7 @@ app.post('/api/users/random', async (req, res) => {
         user: newUser
     });
   } catch (error) {
-    console.error('Error adding random user:', error);
+    req.log.error('Error adding random user', { error });
     res.status(500).json({
         success: false,
         error: 'Failed to add random user'
@@ -220,11 +640,11 @@ app.post('/api/users/random', async (req, res) => {
 });
 
 // API endpoint to truncate the users table
-app.post('/api/truncate-users', async (req, res) => {
+app.post('/api/truncate-users', admin.requireAdmin, async (req, res) => {
   try {
     // Truncate the geeks table
-    await db.query('TRUNCATE TABLE geeks');
-    console.log('Truncated geeks table');
+    await storage.truncate();
+    req.log.info('Truncated geeks table');
     
     // Broadcast to all clients
     broadcastTruncateUsers();
@@ -235,7 +655,7 @@ app.post('/api/truncate-users', async (req, res) => {
       message: 'Geeks table truncated'
     });
   } catch (error) {
-    console.error('Error truncating geeks table:', error);
+    req.log.error('Error truncating geeks table', { error });
     res.status(500).json({
       success: false,
       error: 'Failed to truncate geeks table'
@@ -243,56 +663,93 @@ app.post('/api/truncate-users', async (req, res) => {
   }
 });
 
+// API endpoints for the retention of anonymous geeks
+// GET reports what would be deleted, POST deletes it. Both accept max_inactive_days to override the policy.
+app.get('/api/retention', admin.requireAdmin, (req, res) => {
+  handleRetentionRequest(req, res, req.query.max_inactive_days, true);
+});
+
+app.post('/api/retention', admin.requireAdmin, (req, res) => {
+  handleRetentionRequest(req, res, req.body && req.body.max_inactive_days, false);
+});
+
+/**
+ * Run the retention job for an admin request
+ * @param {Object} req The request
+ * @param {Object} res The response
+ * @param {*} maxInactiveDays Requested number of days, the configured policy is used if missing
+ * @param {boolean} dryRun Only report the geeks that would be deleted
+ */
+async function handleRetentionRequest(req, res, maxInactiveDays, dryRun) {
+  const days = maxInactiveDays !== undefined ? Number(maxInactiveDays) : RETENTION_ANON_DAYS;
+  if (!Number.isInteger(days) || days < 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'max_inactive_days must be a positive integer'
+    });
+  }
+  
+  try {
+    const report = await purgeInactiveAnonymousGeeks(days, dryRun);
+    req.log.info(dryRun ? 'Retention report' : 'Retention run', { count: report.count, max_inactive_days: days });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    req.log.error('Error running retention', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run retention'
+    });
+  }
+}
+
 // API endpoint for anonymous authentication
 app.post('/api/auth/anonymous', async (req, res) => {
   try {
-    // Check if Supabase is configured
-    if (!supabase) {
-      console.error('Supabase is not configured. Authentication failed.');
-      return res.status(503).json({
+    // The new geek is created in the world the visitor is joining
+    const world = resolveWorldId(req.body.world);
+    if (!world) {
+      return res.status(400).json({
         success: false,
-        error: 'Authentication supabase service unavailable'
+        error: 'Unknown world'
       });
     }
     
-    // Sign up the user with Supabase
-    const { data, error } = await supabase.auth.signInAnonymously()
+    // Check if the auth provider is configured
+    if (!auth.isAvailable()) {
+      req.log.error('Auth provider is not configured, authentication failed', { provider: auth.name });
+      return res.status(503).json({
+        success: false,
+        error: `Authentication ${auth.name} service unavailable`
+      });
+    }
     
-    if (error) {
-      console.error('Error signing up anonymous user:', error);
+    // Sign up the user with the auth provider
+    let data;
+    try {
+      data = await auth.signInAnonymously();
+    } catch (error) {
+      req.log.error('Error signing up anonymous user', { error });
       return res.status(500).json({
         success: false,
         error: 'Failed to create anonymous user'
       });
     }
     
-    console.log('Created anonymous user:', data.user.id);
-    
-    // Generate random position on the planet surface
-    const position = generateRandomPosition();
+    req.log.info('Created anonymous user', { user_id: data.user.id });
     
-    // Generate random size between 15-40
-    const size = Math.floor(Math.random() * 25) + 15;
-    
-    // Select random color from the list
-    const colors = [
-        '#4285F4', // Blue
-        '#EA4335', // Red
-        '#FBBC05', // Yellow
-        '#34A853', // Green
-        '#9C27B0', // Purple
-        '#FF9800'  // Orange
-    ];
-    const color = colors[Math.floor(Math.random() * colors.length)];
+    // Random position on the planet surface, size and color
+    const { position, size, color } = randomGeekAttributes();
     
     // Create new geek in database for this anonymous user
-    const result = await db.query(
-        'INSERT INTO geeks (position_x, position_y, position_z, size, color, client_id, anon, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW()) RETURNING *',
-        [position.x, position.y, position.z, size, color, data.user.id, true]
-    );
-    
-    const newUser = result.rows[0];
-    console.log('Added anonymous user geek:', newUser);
+    const newUser = await storage.createGeek({
+        position,
+        size,
+        color,
+        clientId: data.user.id,
+        anon: true,
+        world
+    });
+    req.log.info('Added anonymous user geek', { geek_id: newUser.id, world });
     
     // Broadcast to all clients
     broadcastUserAdded(newUser);
@@ -308,7 +765,7 @@ app.post('/api/auth/anonymous', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Error in anonymous authentication:', error);
+    req.log.error('Error in anonymous authentication', { error });
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -329,20 +786,20 @@ app.post('/api/auth/verify', async (req, res) => {
       });
     }
     
-    // Check if Supabase is configured
-    if (!supabase) {
-      console.error('Supabase is not configured. Token verification failed.');
+    // Check if the auth provider is configured
+    if (!auth.isAvailable()) {
+      req.log.error('Auth provider is not configured, token verification failed', { provider: auth.name });
       return res.status(503).json({
         success: false,
-        error: 'Authentication supabase service unavailable'
+        error: `Authentication ${auth.name} service unavailable`
       });
     }
     
-    // Verify the token with Supabase
-    const { data, error } = await supabase.auth.getUser(token);
+    // Verify the token with the auth provider
+    const user = await auth.verifyToken(token);
     
-    if (error) {
-      console.error('Error verifying token:', error);
+    if (!user) {
+      req.log.warn('Invalid token');
       return res.status(401).json({
         success: false,
         error: 'Invalid token'
@@ -353,11 +810,11 @@ app.post('/api/auth/verify', async (req, res) => {
     res.json({
       success: true,
       user: {
-        id: data.user.id
+        id: user.id
       }
     });
   } catch (error) {
-    console.error('Error in token verification:', error);
+    req.log.error('Error in token verification', { error });
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -365,255 +822,1665 @@ app.post('/api/auth/verify', async (req, res) => {
   }
 });
 
-// WebSocket connection handling
-wss.on('connection', (ws, req) => {
-  console.log('New WebSocket connection');
-  
-  // We'll set the client ID after receiving it from the client
-  ws.clientId = null;
-  
-  // Add to active clients
-  clients.add(ws);
-  console.log(`Active connections: ${clients.size}`);
-  
-  // Handle incoming messages
-  ws.on('message', async (message) => {
-    try {
-      const data = JSON.parse(message);
-      console.log('Received message:', data);
-      
-      // Handle different message types
-      switch (data.type) {
-        case 'spawn_user':
-          // Client is telling us their Supabase user ID
-          const { clientId, token } = data;
-          
-          // Verify the token if provided
-          if (token) {
-            // Check if Supabase is configured
-            if (!supabase) {
-              console.error('Supabase is not configured. Token verification failed.');
-              ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Authentication service unavailable'
-              }));
-              return;
-            }
-            
-            // Verify with Supabase
-            try {
-              const { data: userData, error } = await supabase.auth.getUser(token);
-              if (error || !userData || userData.user.id !== clientId) {
-                console.warn(`Invalid token for client ID ${clientId}`);
-                // Send error message to client
-                ws.send(JSON.stringify({
-                  type: 'error',
-                  message: 'Invalid authentication token'
-                }));
-                return;
-              }
-            } catch (error) {
-              console.error('Error verifying token:', error);
-              ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Error verifying authentication token'
-              }));
-              return;
-            }
-          } else {
-            // No token provided
-            console.warn(`No token provided for client ID ${clientId}`);
-            ws.send(JSON.stringify({
-              type: 'warning',
-              message: 'No authentication token provided'
-            }));
-            // Continue anyway for backward compatibility
-          }
-          
-          // Token is valid or not provided (for backward compatibility)
+// HTTP status of the credential errors thrown by the auth provider
+const AUTH_ERROR_STATUS = {
+  [AUTH_ERRORS.INVALID_EMAIL]: 400,
+  [AUTH_ERRORS.WEAK_PASSWORD]: 400,
+  [AUTH_ERRORS.INVALID_CREDENTIALS]: 401,
+  [AUTH_ERRORS.EMAIL_TAKEN]: 409,
+  [AUTH_ERRORS.ALREADY_REGISTERED]: 409
+};
+
+// API endpoint to attach an email/password identity to an anonymous user
+// The user keeps its ID, so its geek, position and history stay the same. Sending the
+// same credentials again is safe and marks the geeks registered if that failed before
+app.post('/api/auth/link', async (req, res) => {
+  try {
+    const { token, email, password } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token is required'
+      });
+    }
+    
+    if (!auth.isAvailable()) {
+      req.log.error('Auth provider is not configured, account linking failed', { provider: auth.name });
+      return res.status(503).json({
+        success: false,
+        error: `Authentication ${auth.name} service unavailable`
+      });
+    }
+    
+    const user = await auth.verifyToken(token);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid token'
+      });
+    }
+    
+    let data;
+    try {
+      data = await auth.linkIdentity(user.id, { email, password }, token);
+      req.log.info('Linked an identity to an anonymous user', {
+        user_id: user.id,
+        confirmation_pending: Boolean(data.confirmationPending)
+      });
+    } catch (error) {
+      // A retry of a link whose geeks weren't marked registered: finish it if the
+      // credentials are those of the identity already linked to this user
+      if (error.code !== AUTH_ERRORS.ALREADY_REGISTERED) {
+        throw error;
+      }
+      data = await auth.signInWithPassword({ email, password }).catch(() => null);
+      if (!data || data.user.id !== user.id) {
+        throw error;
+      }
+      req.log.info('Completed an earlier identity link', { user_id: user.id });
+    }
+    
+    // The geeks are marked registered when the user reconnects after confirming the email
+    if (data.confirmationPending) {
+      return res.json({
+        success: true,
+        user: data.user,
+        session: data.session,
+        confirmation_pending: true
+      });
+    }
+    
+    // Let everyone see the geeks of the user, in every world, are now registered
+    const geeks = await storage.markRegistered(user.id);
+    geeks.forEach(broadcastUserUpdated);
+    
+    res.json({
+      success: true,
+      user: data.user,
+      session: data.session
+    });
+  } catch (error) {
+    sendAuthError(req, res, error, 'Error linking identity');
+  }
+});
+
+// API endpoint to sign in with an email/password identity
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    if (!auth.isAvailable()) {
+      req.log.error('Auth provider is not configured, sign in failed', { provider: auth.name });
+      return res.status(503).json({
+        success: false,
+        error: `Authentication ${auth.name} service unavailable`
+      });
+    }
+    
+    const data = await auth.signInWithPassword({ email, password });
+    req.log.info('Signed in with password', { user_id: data.user.id });
+    
+    res.json({
+      success: true,
+      user: data.user,
+      session: data.session
+    });
+  } catch (error) {
+    sendAuthError(req, res, error, 'Error signing in');
+  }
+});
+
+/**
+ * Answer a failed authentication request
+ * Credential errors are shown to the user, anything else is a server error.
+ * @param {Object} req The request
+ * @param {Object} res The response
+ * @param {Error} error The error
+ * @param {string} message Log message for server errors
+ */
+function sendAuthError(req, res, error, message) {
+  if (error instanceof AuthError) {
+    req.log.info('Authentication request rejected', { code: error.code });
+    return res.status(AUTH_ERROR_STATUS[error.code] || 400).json({
+      success: false,
+      code: error.code,
+      error: error.message
+    });
+  }
+  
+  req.log.error(message, { error });
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+}
+
+// API endpoint to check whether the request carries a valid admin key
+app.get('/api/auth/admin', (req, res) => {
+  res.json({
+    success: true,
+    admin: admin.isAdminKey(req.get('X-Admin-Key'))
+  });
+});
+
+// WebSocket connection handling
+wss.on('connection', (ws, req) => {
+  ws.id = crypto.randomUUID();
+  ws.log = logger.child({ connection_id: ws.id });
+  ws.log.info('WebSocket connection opened');
+  
+  // Connections that slip in while shutting down are sent away right away
+  if (shuttingDown) {
+    ws.close(CLOSE_SERVICE_RESTART, 'Server restarting');
+    return;
+  }
+  
+  // Clients that don't offer a subprotocol predate negotiation and speak version 1
+  const offeredProtocols = req.headers['sec-websocket-protocol'];
+  const negotiated = ws.protocol
+    ? parseProtocolName(ws.protocol)
+    : (offeredProtocols ? null : { version: 1, encoding: ENCODINGS.JSON });
+  if (!negotiated) {
+    ws.log.warn('Rejecting WebSocket connection with unsupported protocols', { protocols: offeredProtocols });
+    sendError(ws, ERROR_CODES.UNSUPPORTED_VERSION,
+      `Unsupported protocol version, the server supports versions ${SUPPORTED_VERSIONS.join(', ')}`);
+    ws.close(1002, 'Unsupported protocol version');
+    return;
+  }
+  ws.protocolVersion = negotiated.version;
+  ws.encoding = negotiated.encoding;
+  
+  // The connection follows a single world (?world=<id>), the default world if none is given
+  const url = new URL(req.url, 'http://localhost');
+  ws.world = resolveWorldId(url.searchParams.get('world'));
+  if (!ws.world) {
+    ws.log.warn('Rejecting WebSocket connection to an unknown world', { world: url.searchParams.get('world') });
+    sendError(ws, ERROR_CODES.UNKNOWN_WORLD, `Unknown world, the server has ${Object.keys(WORLDS).join(', ')}`);
+    ws.close(1008, 'Unknown world');
+    return;
+  }
+  ws.log = ws.log.child({ world: ws.world });
+  
+  // We'll set the client ID after receiving it from the client
+  ws.clientId = null;
+  ws.authenticated = false;
+  ws.isAdmin = false;
+  
+  // Session history row of this connection, opened once the geek is known
+  ws.sessionId = null;
+  
+  // The connection's geek and where it stands, used to find who hears its chat
+  ws.geekId = null;
+  ws.position = null;
+  
+  // When the geek last moved, and the pending write of its new position
+  ws.movedAt = null;
+  ws.persistTimer = null;
+  
+  // Broadcasts are held back until the client has received its snapshot
+  ws.synced = false;
+  
+  // Heartbeat: the connection is reaped if it doesn't answer a ping in time
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+  
+  // Add to active clients
+  clients.add(ws);
+  ws.log.debug('Active connections', { connections: clients.size, protocol: ws.protocol || 'v1' });
+  
+  // Reconnecting clients tell us the last event they saw (?since=<seq>&epoch=<epoch>)
+  const since = url.searchParams.has('since') ? parseInt(url.searchParams.get('since'), 10) : undefined;
+  const epoch = url.searchParams.get('epoch') || undefined;
+  
+  syncClient(ws, since, epoch).catch(error => {
+    ws.log.error('Error syncing new WebSocket client', { error });
+  });
+  
+  // Handle incoming messages
+  ws.on('message', async (message) => {
+    try {
+      let data;
+      try {
+        data = JSON.parse(message);
+      } catch (error) {
+        sendError(ws, ERROR_CODES.INVALID_JSON, 'Message is not valid JSON');
+        return;
+      }
+      ws.log.debug('Received message', { type: data && data.type });
+      
+      // Reject malformed messages before acting on them
+      const validation = validateClientMessage(data);
+      messagesReceived.inc({ type: validation.valid ? data.type : 'invalid' });
+      if (!validation.valid) {
+        ws.log.warn('Invalid message', { type: data && data.type, errors: validation.errors });
+        sendError(ws, validation.code, 'Invalid message', validation.errors, data && data.type);
+        return;
+      }
+      
+      // Handle different message types
+      switch (data.type) {
+        case 'spawn_user':
+          // Client is telling us their auth user ID
+          const { clientId, token, adminKey } = data;
+          
+          // Admins identify themselves with the admin API key
+          if (adminKey !== undefined) {
+            ws.isAdmin = admin.isAdminKey(adminKey);
+            if (!ws.isAdmin) {
+              ws.log.warn('Invalid admin key', { client_id: clientId });
+            }
+          }
+          
+          // Geeks created for a registered identity (e.g. signing in on a new device) aren't anonymous
+          let registered = false;
+          
+          // Verify the token
+          if (token) {
+            // Check if the auth provider is configured
+            if (!auth.isAvailable()) {
+              ws.log.error('Auth provider is not configured, token verification failed', { provider: auth.name });
+              sendError(ws, ERROR_CODES.AUTH_UNAVAILABLE, 'Authentication service unavailable', undefined, data.type);
+              return;
+            }
+            
+            // Verify with the auth provider
+            try {
+              const tokenUser = await auth.verifyToken(token);
+              if (!tokenUser || tokenUser.id !== clientId) {
+                ws.log.warn('Invalid token', { client_id: clientId });
+                // Send error message to client
+                sendError(ws, ERROR_CODES.INVALID_TOKEN, 'Invalid authentication token', undefined, data.type);
+                return;
+              }
+              registered = tokenUser.anon === false;
+            } catch (error) {
+              ws.log.error('Error verifying token', { error });
+              sendError(ws, ERROR_CODES.AUTH_UNAVAILABLE, 'Error verifying authentication token', undefined, data.type);
+              return;
+            }
+          } else {
+            // Without a token anyone could take over the geek of any client ID
+            ws.log.warn('No token provided', { client_id: clientId });
+            sendError(ws, ERROR_CODES.INVALID_TOKEN, 'Authentication token required', undefined, data.type);
+            return;
+          }
+          
+          // Only connections that proved their identity may modify the world
+          ws.authenticated = true;
+          
+          untrackConnection(ws);
           ws.clientId = clientId;
-          console.log(`Client set ID to: ${ws.clientId}`);
+          trackConnection(ws);
+          ws.log = logger.child({ connection_id: ws.id, world: ws.world, client_id: ws.clientId });
+          ws.log.info('Client identified', { connections: countConnections(ws.clientId, ws.world) });
           
           // If client has a client ID, mark their geek as active or create a new one
           if (ws.clientId) {
             try {
-              // Check if the user already exists
-              const existingResult = await db.query(
-                'SELECT * FROM geeks WHERE client_id = $1',
-                [ws.clientId]
-              );
+              // Random position on the planet surface, size and color (used if the geek is new)
+              const { position, size, color } = randomGeekAttributes();
               
-              if (existingResult.rows.length > 0) {
-                // User exists, update to active
-                const updateResult = await db.query(
-                  'UPDATE geeks SET active = true, updated_at = NOW() WHERE client_id = $1 RETURNING *',
-                  [ws.clientId]
-                );
-                
-                if (updateResult.rows.length > 0) {
-                  const user = updateResult.rows[0];
-                  console.log('Activated existing user:', user);
-                  
-                  // Broadcast the user status change
-                  broadcastUserStatusChange(ws.clientId, true);
-                  
-                  // Broadcast the user to the client who just connected
-                  broadcastUserAdded(user);
-                }
+              // Create the client's geek in this world or activate the existing one in a single
+              // upsert, so simultaneous spawns for this client can't duplicate it
+              const { geek, created } = await storage.spawnGeek({
+                position,
+                size,
+                color,
+                clientId: ws.clientId,
+                anon: !registered,
+                active: true,
+                world: ws.world
+              });
+              
+              if (created) {
+                ws.log.info('Created new user', { geek_id: geek.id });
               } else {
-                // User doesn't exist, create a new one
-                console.log('Creating new user for client ID:', ws.clientId);
-                
-                // Generate random position on the planet surface
-                const position = generateRandomPosition();
-                
-                // Generate random size between 15-40
-                const size = Math.floor(Math.random() * 25) + 15;
-                
-                // Select random color from the list
-                const colors = [
-                  '#4285F4', // Blue
-                  '#EA4335', // Red
-                  '#FBBC05', // Yellow
-                  '#34A853', // Green
-                  '#9C27B0', // Purple
-                  '#FF9800'  // Orange
-                ];
-                const color = colors[Math.floor(Math.random() * colors.length)];
+                ws.log.info('Activated existing user', { geek_id: geek.id });
                 
-                // Create new geek in database
-                const result = await db.query(
-                  'INSERT INTO geeks (position_x, position_y, position_z, size, color, client_id, anon, active, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW()) RETURNING *',
-                  [position.x, position.y, position.z, size, color, ws.clientId, true, true]
-                );
-                
-                const newUser = result.rows[0];
-                console.log('Created new user:', newUser);
-                
-                // Broadcast to all clients
-                broadcastUserAdded(newUser);
+                // Broadcast the user status change
+                broadcastUserStatusChange(ws.clientId, true, ws.world);
+              }
+              
+              // A user who confirmed the email of its account since it last connected
+              if (registered && geek.anon) {
+                const geeks = await storage.markRegistered(ws.clientId);
+                geeks.forEach(broadcastUserUpdated);
+                geek.anon = false;
               }
+              
+              ws.geekId = geek.id;
+              ws.position = { x: geek.position_x, y: geek.position_y, z: geek.position_z };
+              ws.movedAt = Date.now();
+              
+              // Record when this connection came online
+              await startConnectionSession(ws);
+              
+              // Broadcast the user to the clients of this world, including the one who just connected
+              broadcastUserAdded(geek);
             } catch (error) {
-              console.error('Error handling spawn_user:', error);
+              ws.log.error('Error handling spawn_user', { error });
+              sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to spawn user', undefined, data.type);
             }
           }
           break;
           
+        case 'resync':
+          // Client detected a gap in the event sequence
+          await syncClient(ws, data.since, data.epoch);
+          break;
+          
+        case 'add_user':
+          await handleAddUser(ws, data);
+          break;
+          
+        case 'remove_user':
+          await handleRemoveUser(ws, data);
+          break;
+          
+        case 'truncate_users':
+          await handleTruncateUsers(ws);
+          break;
+          
+        case 'chat':
+          handleChat(ws, data);
+          break;
+          
+        case 'emote':
+          handleEmote(ws, data);
+          break;
+          
+        case 'move':
+          handleMove(ws, data);
+          break;
+          
         default:
-          console.log('Unknown message type:', data.type);
+          sendError(ws, ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${data.type}`, undefined, data.type);
       }
     } catch (error) {
-      console.error('Error handling WebSocket message:', error);
+      ws.log.error('Error handling WebSocket message', { error });
+      sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to handle message');
     }
   });
   
   // Handle client disconnection
   ws.on('close', async () => {
-    console.log('WebSocket connection closed');
     clients.delete(ws);
-    console.log(`Active connections: ${clients.size}`);
+    ws.log.info('WebSocket connection closed', { connections: clients.size });
+    
+    // The shutdown takes care of sessions and presence for every connection at once
+    if (shuttingDown) {
+      return;
+    }
+    
+    // Record when this connection went offline
+    await endConnectionSession(ws);
     
-    // Mark the user's geek as inactive (offline) if we have a client ID
+    // Don't lose the last steps of the geek
+    await persistPosition(ws);
+    
+    // Mark the user's geek as inactive (offline) once its last connection is gone
     if (ws.clientId) {
+      const remaining = untrackConnection(ws);
+      
+      if (remaining > 0) {
+        // Still connected from another tab or device, just report the new count
+        broadcastUserStatusChange(ws.clientId, true, ws.world);
+        return;
+      }
+      
+      chatLimiter.forget(ws.clientId);
+      emoteLimiter.forget(ws.clientId);
+      moveLimiter.forget(ws.clientId);
+      
       try {
-        await db.query(
-          'UPDATE geeks SET active = false, updated_at = NOW() WHERE client_id = $1',
-          [ws.clientId]
-        );
+        // The geek stays online while it is connected to another instance
+        const offline = await storage.deactivateDisconnected({ clientId: ws.clientId, world: ws.world });
         
         // Broadcast the user status change
-        broadcastUserStatusChange(ws.clientId, false);
+        if (offline.length > 0) {
+          broadcastUserStatusChange(ws.clientId, false, ws.world);
+        }
       } catch (error) {
-        console.error('Error updating user status on disconnect:', error);
+        ws.log.error('Error updating user status on disconnect', { error });
       }
     }
   });
 });
 
+/**
+ * Register a connection under its world and client ID
+ * @param {WebSocket} ws The client connection
+ */
+function trackConnection(ws) {
+  if (!ws.clientId) {
+    return;
+  }
+  
+  const connectionsByClientId = connectionsByWorld.get(ws.world);
+  if (!connectionsByClientId.has(ws.clientId)) {
+    connectionsByClientId.set(ws.clientId, new Set());
+  }
+  connectionsByClientId.get(ws.clientId).add(ws);
+}
 
 /**
- * Generate a random position on the planet surface
- * @returns {Object} Position object with x, y, z coordinates
+ * Unregister a connection from its world and client ID
+ * @param {WebSocket} ws The client connection
+ * @returns {number} The number of connections left for the client ID in the world
  */
-function generateRandomPosition() {
-  // Generate random spherical coordinates
-  const radius = 3000; // Planet radius
-  const theta = Math.random() * Math.PI * 2; // Longitude (0 to 2π)
-  const phi = Math.acos(2 * Math.random() - 1); // Latitude (0 to π)
+function untrackConnection(ws) {
+  const connectionsByClientId = connectionsByWorld.get(ws.world);
+  const connections = connectionsByClientId.get(ws.clientId);
+  if (!connections) {
+    return 0;
+  }
   
-  // Convert to Cartesian coordinates
-  const x = radius * Math.sin(phi) * Math.cos(theta);
-  const y = radius * Math.sin(phi) * Math.sin(theta);
-  const z = radius * Math.cos(phi);
+  connections.delete(ws);
+  if (connections.size === 0) {
+    connectionsByClientId.delete(ws.clientId);
+  }
   
-  return { x, y, z };
+  return connections.size;
 }
 
 /**
- * Broadcast a new user to all connected clients
- * @param {Object} user The user data
+ * Count the live connections of a client ID in a world
+ * @param {string} clientId The client ID
+ * @param {string} world The world ID
+ * @returns {number} The number of connected tabs/devices
  */
-function broadcastUserAdded(user) {
-  const message = JSON.stringify({
-    type: 'new_user',
-    user: user
+function countConnections(clientId, world) {
+  const connectionsByClientId = connectionsByWorld.get(world);
+  const connections = connectionsByClientId && connectionsByClientId.get(clientId);
+  return connections ? connections.size : 0;
+}
+
+/**
+ * Count the geeks with at least one live connection, in every world
+ * @returns {number} The number of online geeks
+ */
+function countOnlineGeeks() {
+  let online = 0;
+  connectionsByWorld.forEach(connectionsByClientId => {
+    online += connectionsByClientId.size;
   });
-  
-  for (const client of clients) {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
+  return online;
+}
+
+// Sessions of closed connections that failed to end, retried by the presence sweep
+const unendedSessions = new Set();
+
+// Timers for the heartbeat and the presence sweep
+let heartbeatTimer = null;
+let presenceSweepTimer = null;
+let presenceSampleTimer = null;
+let retentionTimer = null;
+
+/**
+ * Ping every client periodically and terminate the ones that stopped answering
+ * Terminating a connection fires its close event, which marks the geek offline.
+ */
+function startHeartbeat() {
+  heartbeatTimer = setInterval(() => {
+    for (const client of clients) {
+      if (!client.isAlive) {
+        client.log.info('Terminating unresponsive connection');
+        client.terminate();
+        continue;
+      }
+      
+      client.isAlive = false;
+      client.ping();
     }
+  }, HEARTBEAT_INTERVAL);
+}
+
+/**
+ * Register this instance and clean up after the instances that are gone
+ * Sessions left open by a previous run of this instance or by instances that stopped
+ * sending heartbeats end now, we don't know when they really did. Geeks of other
+ * instances that are still connected stay online.
+ */
+async function resetStalePresence() {
+  try {
+    await storage.touchInstance(INSTANCE_ID);
+    
+    const ownSessions = await storage.endInstanceSessions(INSTANCE_ID, liveSessionIds());
+    const orphanedSessions = await storage.endOrphanedSessions(INSTANCE_TIMEOUT);
+    logger.info('Closed stale sessions', { count: ownSessions + orphanedSessions });
+    
+    const stale = await storage.deactivateDisconnected();
+    logger.info('Reset stale active geeks', { count: stale.length });
+    stale.forEach(geek => broadcastUserStatusChange(geek.client_id, false, geek.world));
+  } catch (error) {
+    logger.error('Error resetting stale presence', { error });
   }
 }
 
 /**
- * Broadcast a truncate users event to all connected clients
+ * IDs of the sessions of the connections to this instance
+ * @returns {Array<number>} The session IDs
  */
-function broadcastTruncateUsers() {
-  const message = JSON.stringify({
-    type: 'clear_all_users'
-  });
+function liveSessionIds() {
+  return [...clients].map(ws => ws.sessionId).filter(Boolean);
+}
+
+/**
+ * Open a session history row for a connection to the geek it spawned
+ * The open session is what keeps the geek online for the other instances.
+ * @param {WebSocket} ws The client connection
+ */
+async function startConnectionSession(ws) {
+  // A repeated spawn_user starts over
+  await endConnectionSession(ws);
   
-  for (const client of clients) {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
+  try {
+    const session = await storage.startSession({ geekId: ws.geekId, clientId: ws.clientId, instanceId: INSTANCE_ID });
+    ws.sessionId = session.id;
+    
+    // The connection may have closed while the session was being written
+    if (ws.readyState !== WebSocket.OPEN) {
+      await endConnectionSession(ws);
     }
+  } catch (error) {
+    ws.log.error('Error starting session', { error });
   }
 }
 
 /**
- * Broadcast a user status change event to all connected clients
- * @param {string} clientId The Supabase user ID of the user
- * @param {boolean} isActive Whether the user is active or inactive
+ * Close the session history row of a connection, if it has one
+ * @param {WebSocket} ws The client connection
  */
-function broadcastUserStatusChange(clientId, isActive) {
-  const message = JSON.stringify({
-    type: 'user_status',
-    clientId: clientId,
-    active: isActive
-  });
+async function endConnectionSession(ws) {
+  if (!ws.sessionId) {
+    return;
+  }
+  
+  const sessionId = ws.sessionId;
+  ws.sessionId = null;
   
-  for (const client of clients) {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
+  try {
+    await storage.endSession(sessionId);
+  } catch (error) {
+    ws.log.error('Error ending session', { error, session_id: sessionId });
+    
+    // Left open, the session would keep the geek online, the next sweep tries again
+    unendedSessions.add(sessionId);
+  }
+}
+
+/**
+ * Compare the connections of every instance with the active flags in storage and fix any drift
+ * Also sends this instance's heartbeat, and ends the sessions of the instances that stopped
+ * sending theirs, so their geeks go offline.
+ */
+async function sweepPresence() {
+  try {
+    // Another instance took this one for gone and ended its sessions, start them over
+    if (await storage.touchInstance(INSTANCE_ID)) {
+      logger.warn('Presence sweep: instance was taken for gone, restarting its sessions');
+      for (const ws of clients) {
+        if (ws.sessionId) {
+          await startConnectionSession(ws);
+        }
+      }
+    }
+    
+    // Sessions that closed connections failed to end, and those of the instances that are gone
+    for (const sessionId of [...unendedSessions]) {
+      await storage.endSession(sessionId);
+      unendedSessions.delete(sessionId);
     }
+    await storage.endOrphanedSessions(INSTANCE_TIMEOUT);
+    
+    // Active in storage but connected to no instance
+    const offline = await storage.deactivateDisconnected();
+    for (const geek of offline) {
+      logger.info('Presence sweep: marking geek offline', { client_id: geek.client_id, world: geek.world });
+      broadcastUserStatusChange(geek.client_id, false, geek.world);
+    }
+    
+    // Connected to this instance but not active in storage
+    const activeGeeks = await storage.listGeeks({ active: true });
+    for (const [world, connectionsByClientId] of connectionsByWorld) {
+      const activeIds = new Set(activeGeeks.filter(geek => geek.world === world).map(geek => geek.client_id));
+      
+      for (const clientId of [...connectionsByClientId.keys()]) {
+        if (!activeIds.has(clientId)) {
+          const geek = await storage.activate(clientId, world);
+          if (geek) {
+            logger.info('Presence sweep: marking geek online', { client_id: clientId, world });
+            broadcastUserStatusChange(clientId, true, world);
+          }
+        }
+      }
+    }
+  } catch (error) {
+    logger.error('Error sweeping presence', { error });
   }
 }
 
-// Start the server
-server.listen(PORT, async () => {
-  console.log(`Server running on port ${PORT}`);
+/**
+ * Start the periodic presence sweep
+ */
+function startPresenceSweep() {
+  presenceSweepTimer = setInterval(sweepPresence, PRESENCE_SWEEP_INTERVAL);
+}
+
+/**
+ * Record how many geeks and connections of each world are online on this instance,
+ * for the history endpoint
+ */
+async function samplePresence() {
+  const connectionsPerWorld = new Map();
+  clients.forEach(ws => connectionsPerWorld.set(ws.world, (connectionsPerWorld.get(ws.world) || 0) + 1));
   
-  // Connect to database
-  const dbConnected = await connectToDatabase();
-  if (!dbConnected) {
-    console.error('Failed to connect to database. Server may not function correctly.');
+  try {
+    await Promise.all(Object.keys(WORLDS).map(world => storage.addPresenceSample({
+      instanceId: INSTANCE_ID,
+      world,
+      online: connectionsByWorld.get(world).size,
+      connections: connectionsPerWorld.get(world) || 0
+    })));
+  } catch (error) {
+    logger.error('Error sampling presence', { error });
   }
-  
-  console.log(`API endpoints available:`);
-  console.log(`- GET /api/stats - Get active user count and geek data`);
-  console.log(`- POST /api/users/random - Add a random user`);
-  console.log(`- POST /api/truncate-users - Remove all users`);
-  console.log(`- POST /api/auth/anonymous - Authenticate anonymously and create geek`);
-  console.log(`- POST /api/auth/verify - Verify a token`);
+}
+
+/**
+ * Start sampling presence periodically
+ */
+function startPresenceSampling() {
+  samplePresence();
+  presenceSampleTimer = setInterval(samplePresence, PRESENCE_SAMPLE_INTERVAL);
+}
+
+/**
+ * Delete the anonymous geeks inactive for longer than a number of days
+ * Connected clients are told to drop every deleted geek.
+ * @param {number} maxInactiveDays Days an anonymous geek may stay inactive
+ * @param {boolean} dryRun Only report the geeks that would be deleted
+ * @returns {Promise<Object>} The retention report
+ */
+function purgeInactiveAnonymousGeeks(maxInactiveDays, dryRun) {
+  return runRetention({
+    storage,
+    maxInactiveDays,
+    dryRun,
+    onDelete: geek => broadcastUserRemoved(geek.id, geek.world)
+  });
+}
+
+/**
+ * Run the retention policy once, logging what it deleted
+ */
+async function applyRetention() {
+  try {
+    const report = await purgeInactiveAnonymousGeeks(RETENTION_ANON_DAYS, RETENTION_DRY_RUN);
+    if (report.count > 0 || RETENTION_DRY_RUN) {
+      logger.info(RETENTION_DRY_RUN ? 'Retention dry run' : 'Deleted inactive anonymous geeks', {
+        count: report.count,
+        max_inactive_days: RETENTION_ANON_DAYS,
+        cutoff: report.cutoff,
+        ids: report.geeks.map(geek => geek.id)
+      });
+    }
+  } catch (error) {
+    logger.error('Error applying retention', { error });
+  }
+}
+
+/**
+ * Start applying the retention policy periodically, unless it is disabled
+ */
+function startRetention() {
+  if (!(RETENTION_ANON_DAYS > 0)) {
+    logger.info('Retention of anonymous geeks is disabled');
+    return;
+  }
+  
+  applyRetention();
+  retentionTimer = setInterval(applyRetention, RETENTION_INTERVAL);
+}
+
+// Stop the timers when the WebSocket server closes
+wss.on('close', () => {
+  clearInterval(heartbeatTimer);
+  clearInterval(presenceSweepTimer);
+  clearInterval(presenceSampleTimer);
+  clearInterval(retentionTimer);
+  clearTimeout(flushTimer);
+});
+
+/**
+ * Bring a client up to date: replay the events it missed if they are still
+ * in the event log of its world, otherwise send a full snapshot
+ * @param {WebSocket|SseConnection} ws The client connection
+ * @param {number} [since] The last sequence number the client has seen
+ * @param {string} [epoch] The event log epoch the sequence number belongs to
+ */
+async function syncClient(ws, since, epoch) {
+  const eventLog = eventLogs.get(ws.world);
+  const missed = since !== undefined ? eventLog.since(since, epoch) : null;
+  
+  if (missed) {
+    ws.synced = true;
+    sendToClient(ws, {
+      type: 'missed_events',
+      epoch: eventLog.epoch,
+      events: missed
+    });
+    return;
+  }
+  
+  await sendSnapshot(ws);
+}
+
+/**
+ * Send the full list of geeks in its world to a client
+ * @param {WebSocket|SseConnection} ws The client connection
+ */
+async function sendSnapshot(ws) {
+  ws.synced = false;
+  
+  // Capture the sequence number before reading, anything broadcast while
+  // we wait for the storage is replayed right after the snapshot
+  const eventLog = eventLogs.get(ws.world);
+  const seq = eventLog.seq;
+  const geeks = await storage.listGeeks({ world: ws.world });
+  
+  sendToClient(ws, {
+    type: 'initial',
+    epoch: eventLog.epoch,
+    seq: seq,
+    users: geeks.map(toUserData)
+  });
+  
+  const missed = eventLog.since(seq) || [];
+  for (const event of missed) {
+    sendToClient(ws, event);
+  }
+  
+  ws.synced = true;
+}
+
+/**
+ * Handle an add_user message: create a geek from client supplied data
+ * @param {WebSocket} ws The client connection
+ * @param {Object} data The message data
+ * @param {Object} data.position Position {x, y, z} of the geek (any length, projected onto the surface)
+ * @param {number} data.size Size of the geek
+ * @param {number|string} data.color Color of the geek (hex number or '#RRGGBB' string)
+ */
+async function handleAddUser(ws, data) {
+  // Synthetic users can only be created by admins
+  if (!ws.isAdmin) {
+    ws.log.warn('Rejected add_user from non-admin connection');
+    sendError(ws, ERROR_CODES.FORBIDDEN, 'Admin access required to add users', undefined, data.type);
+    return;
+  }
+  
+  const position = projectToSurface(data.position);
+  const color = normalizeColor(data.color);
+  
+  if (!position || !color || !Number.isFinite(data.size)) {
+    sendError(ws, ERROR_CODES.INVALID_MESSAGE, 'Invalid add_user data', undefined, data.type);
+    return;
+  }
+  
+  // Keep the size within the range used for random users
+  const size = clampSize(data.size);
+  
+  try {
+    const newUser = await storage.createGeek({
+      position,
+      size,
+      color,
+      anon: false,
+      world: ws.world
+    });
+    ws.log.info('Added user', { geek_id: newUser.id });
+    
+    // Broadcast to the clients of this world
+    broadcastUserAdded(newUser);
+  } catch (error) {
+    ws.log.error('Error handling add_user', { error });
+    sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to add user', undefined, data.type);
+  }
+}
+
+/**
+ * Handle a remove_user message: delete a geek owned by the client (admins may delete any geek)
+ * @param {WebSocket} ws The client connection
+ * @param {Object} data The message data
+ * @param {number} data.id The ID of the geek to remove
+ */
+async function handleRemoveUser(ws, data) {
+  if (!ws.authenticated && !ws.isAdmin) {
+    ws.log.warn('Rejected remove_user from unauthenticated connection');
+    sendError(ws, ERROR_CODES.UNAUTHENTICATED, 'Authentication required to remove users', undefined, data.type);
+    return;
+  }
+  
+  if (!Number.isInteger(data.id)) {
+    sendError(ws, ERROR_CODES.INVALID_MESSAGE, 'Invalid remove_user data', undefined, data.type);
+    return;
+  }
+  
+  try {
+    const geek = await storage.findById(data.id);
+    if (!geek) {
+      sendError(ws, ERROR_CODES.NOT_FOUND, `User ${data.id} not found`, undefined, data.type);
+      return;
+    }
+    
+    // Clients may only remove their own geek
+    if (!ws.isAdmin && geek.client_id !== ws.clientId) {
+      ws.log.warn('Not allowed to remove user', { geek_id: data.id });
+      sendError(ws, ERROR_CODES.FORBIDDEN, 'Not allowed to remove this user', undefined, data.type);
+      return;
+    }
+    
+    await storage.deleteGeek(data.id);
+    ws.log.info('Removed user', { geek_id: data.id });
+    
+    // Broadcast to the clients of the geek's world
+    broadcastUserRemoved(data.id, geek.world);
+  } catch (error) {
+    ws.log.error('Error handling remove_user', { error });
+    sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to remove user', undefined, data.type);
+  }
+}
+
+/**
+ * Handle a truncate_users message: remove all geeks
+ * @param {WebSocket} ws The client connection
+ */
+async function handleTruncateUsers(ws) {
+  if (!ws.isAdmin) {
+    ws.log.warn('Rejected truncate_users from non-admin connection');
+    sendError(ws, ERROR_CODES.FORBIDDEN, 'Admin access required to truncate users', undefined, 'truncate_users');
+    return;
+  }
+  
+  try {
+    await storage.truncate();
+    ws.log.info('Truncated geeks table');
+    
+    // Broadcast to all clients
+    broadcastTruncateUsers();
+  } catch (error) {
+    ws.log.error('Error handling truncate_users', { error });
+    sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to truncate users', undefined, 'truncate_users');
+  }
+}
+
+/**
+ * Handle a chat message: filter it and send it to the geeks near the sender's geek
+ * The text is never logged.
+ * @param {WebSocket} ws The client connection
+ * @param {Object} data The message data
+ * @param {string} data.text The message
+ */
+function handleChat(ws, data) {
+  if (!ws.authenticated || !ws.geekId) {
+    ws.log.warn('Rejected chat from unauthenticated connection');
+    sendError(ws, ERROR_CODES.UNAUTHENTICATED, 'Authentication required to chat', undefined, data.type);
+    return;
+  }
+  
+  if (!chatLimiter.allow(ws.clientId)) {
+    ws.log.warn('Rate limited chat');
+    chatMessages.inc({ outcome: 'rate_limited' });
+    sendError(ws, ERROR_CODES.RATE_LIMITED,
+      `Too many messages, at most ${CHAT_RATE_LIMIT} every ${CHAT_RATE_INTERVAL / 1000} seconds`, undefined, data.type);
+    return;
+  }
+  
+  const text = filterMessage(data.text);
+  if (!text) {
+    chatMessages.inc({ outcome: 'empty' });
+    sendError(ws, ERROR_CODES.INVALID_MESSAGE, 'Chat message is empty', undefined, data.type);
+    return;
+  }
+  
+  chatMessages.inc({ outcome: 'sent' });
+  broadcastChat(ws.geekId, text, ws.position, ws.world);
+}
+
+/**
+ * Handle an emote message: relay the reaction to every client of the sender's world
+ * @param {WebSocket} ws The client connection
+ * @param {Object} data The message data
+ * @param {string} data.name The emote, one of the protocol EMOTES
+ */
+function handleEmote(ws, data) {
+  if (!ws.authenticated || !ws.geekId) {
+    ws.log.warn('Rejected emote from unauthenticated connection');
+    sendError(ws, ERROR_CODES.UNAUTHENTICATED, 'Authentication required to emote', undefined, data.type);
+    return;
+  }
+  
+  if (!emoteLimiter.allow(ws.clientId)) {
+    ws.log.warn('Rate limited emote');
+    sendError(ws, ERROR_CODES.RATE_LIMITED,
+      `Too many emotes, at most ${EMOTE_RATE_LIMIT} every ${EMOTE_RATE_INTERVAL / 1000} seconds`, undefined, data.type);
+    return;
+  }
+  
+  broadcastEmote(ws.geekId, data.name, ws.world);
+}
+
+/**
+ * Handle a move message: walk the client's geek to a new position and tell the clients of its world
+ * The position is projected onto the surface, and a geek that moves faster than
+ * MOVE_MAX_SPEED only gets as far as it could have walked since its last move,
+ * counting at most MOVE_MAX_STEP of that time so standing still doesn't save up distance.
+ * @param {WebSocket} ws The client connection
+ * @param {Object} data The message data
+ * @param {Object} data.position The new position {x, y, z}
+ */
+function handleMove(ws, data) {
+  if (!ws.authenticated || !ws.geekId) {
+    ws.log.warn('Rejected move from unauthenticated connection');
+    sendError(ws, ERROR_CODES.UNAUTHENTICATED, 'Authentication required to move', undefined, data.type);
+    return;
+  }
+  
+  if (!moveLimiter.allow(ws.clientId)) {
+    sendError(ws, ERROR_CODES.RATE_LIMITED,
+      `Too many position updates, at most ${MOVE_RATE_LIMIT} per second`, undefined, data.type);
+    return;
+  }
+  
+  const target = projectToSurface(data.position);
+  if (!target) {
+    sendError(ws, ERROR_CODES.INVALID_MESSAGE, 'Invalid move data', undefined, data.type);
+    return;
+  }
+  
+  const now = Date.now();
+  const elapsed = Math.min(now - ws.movedAt, MOVE_MAX_STEP);
+  const position = moveTowards(ws.position, target, MOVE_MAX_SPEED * elapsed / 1000);
+  
+  // Every tab of the client follows the same geek
+  const connections = connectionsByWorld.get(ws.world).get(ws.clientId) || new Set([ws]);
+  connections.forEach(connection => {
+    connection.position = position;
+    connection.movedAt = now;
+  });
+  
+  schedulePersistPosition(ws);
+  broadcastUserMoved(ws.geekId, position, ws.world);
+}
+
+/**
+ * Write the position of a connection's geek to storage once MOVE_PERSIST_INTERVAL has passed
+ * Moves in the meantime are written together, so walking doesn't cost a query per step.
+ * @param {WebSocket} ws The client connection
+ */
+function schedulePersistPosition(ws) {
+  if (ws.persistTimer) {
+    return;
+  }
+  
+  ws.persistTimer = setTimeout(() => {
+    persistPosition(ws);
+  }, MOVE_PERSIST_INTERVAL);
+}
+
+/**
+ * Write the position of a connection's geek to storage now, if it has moved since the last write
+ * @param {WebSocket} ws The client connection
+ * @returns {Promise<void>} Resolves once the position is written
+ */
+async function persistPosition(ws) {
+  if (!ws.persistTimer) {
+    return;
+  }
+  
+  clearTimeout(ws.persistTimer);
+  ws.persistTimer = null;
+  
+  try {
+    await storage.moveGeek(ws.geekId, ws.position);
+  } catch (error) {
+    ws.log.error('Error saving geek position', { error });
+  }
+}
+
+/**
+ * Send a message to a single client
+ * @param {WebSocket|SseConnection} ws The client connection
+ * @param {Object} data The message data
+ */
+function sendToClient(ws, data) {
+  const validation = validateServerMessage(data);
+  if (!validation.valid) {
+    ws.log.error('Not sending invalid message', { type: data.type, errors: validation.errors });
+    return;
+  }
+  
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(ws.encoding === ENCODINGS.BINARY ? encodeMessage(data) || JSON.stringify(data) : JSON.stringify(data));
+  }
+}
+
+/**
+ * Send a structured error message to a single client
+ * @param {WebSocket} ws The client connection
+ * @param {string} code One of the protocol ERROR_CODES
+ * @param {string} message Human readable description
+ * @param {Array<string>} [details] Validation errors or other details
+ * @param {string} [request] Type of the message that caused the error
+ */
+function sendError(ws, code, message, details, request) {
+  errorsTotal.inc({ source: 'websocket', code });
+  sendToClient(ws, {
+    type: 'error',
+    code,
+    message,
+    ...(details ? { details } : {}),
+    ...(request ? { request } : {})
+  });
+}
+
+/**
+ * Convert a geek row to the user data sent to clients
+ * @param {Object} user The geek row
+ * @returns {Object} User data with a position object
+ */
+function toUserData(user) {
+  return {
+    id: user.id,
+    position: {
+      x: user.position_x,
+      y: user.position_y,
+      z: user.position_z
+    },
+    size: user.size,
+    color: user.color,
+    client_id: user.client_id,
+    active: user.active,
+    anon: user.anon,
+    connections: countConnections(user.client_id, user.world)
+  };
+}
+
+/**
+ * Convert a geek row to the representation returned by the geeks API
+ * @param {Object} user The geek row
+ * @returns {Object} User data with timestamps
+ */
+function toGeekResource(user) {
+  return {
+    ...toUserData(user),
+    world: user.world,
+    created_at: user.created_at,
+    updated_at: user.updated_at
+  };
+}
+
+/**
+ * Sum the time covered by a set of sessions
+ * Overlapping sessions (several tabs or devices) are only counted once.
+ * @param {Array<Object>} sessions Session rows
+ * @param {Date} now End time of sessions that are still open
+ * @returns {number} Time online in milliseconds
+ */
+function sumOnlineTime(sessions, now) {
+  const intervals = sessions
+    .map(session => [session.connected_at.getTime(), (session.disconnected_at || now).getTime()])
+    .sort((a, b) => a[0] - b[0]);
+  
+  let total = 0;
+  let start = null;
+  let end = null;
+  intervals.forEach(([from, to]) => {
+    if (end === null || from > end) {
+      if (end !== null) total += end - start;
+      start = from;
+      end = to;
+    } else {
+      end = Math.max(end, to);
+    }
+  });
+  if (end !== null) total += end - start;
+  
+  return total;
+}
+
+/**
+ * Parse the query string of GET /api/geeks
+ * @param {Object} params The request query parameters
+ * @returns {Object} { query, fields } for storage.findGeeks, or { error } if a parameter is invalid
+ */
+function parseGeekListQuery(params) {
+  const query = {};
+  
+  const limit = params.limit === undefined ? GEEKS_PAGE_SIZE : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > GEEKS_MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${GEEKS_MAX_PAGE_SIZE}` };
+  }
+  query.limit = limit;
+  
+  if (params.cursor !== undefined) {
+    const beforeId = decodeCursor(params.cursor);
+    if (beforeId === null) {
+      return { error: 'Invalid cursor' };
+    }
+    query.beforeId = beforeId;
+  }
+  
+  if (params.world !== undefined) {
+    if (!resolveWorldId(params.world)) {
+      return { error: `world must be one of ${Object.keys(WORLDS).join(', ')}` };
+    }
+    query.world = params.world;
+  }
+  
+  for (const flag of ['active', 'anon']) {
+    if (params[flag] === undefined) continue;
+    if (params[flag] !== 'true' && params[flag] !== 'false') {
+      return { error: `${flag} must be true or false` };
+    }
+    query[flag] = params[flag] === 'true';
+  }
+  
+  if (params.color !== undefined) {
+    const colors = String(params.color).split(',').map(normalizeColor);
+    if (colors.includes(null)) {
+      return { error: 'color must be a comma separated list of hex colors' };
+    }
+    query.colors = colors;
+  }
+  
+  const ranges = {
+    created_after: 'createdAfter',
+    created_before: 'createdBefore',
+    updated_after: 'updatedAfter',
+    updated_before: 'updatedBefore'
+  };
+  for (const [param, key] of Object.entries(ranges)) {
+    if (params[param] === undefined) continue;
+    const date = new Date(params[param]);
+    if (isNaN(date.getTime())) {
+      return { error: `${param} must be a valid date` };
+    }
+    query[key] = date;
+  }
+  
+  const fields = parseFields(params.fields);
+  if (fields instanceof Error) {
+    return { error: fields.message };
+  }
+  
+  return { query, fields };
+}
+
+/**
+ * Parse a comma separated list of fields to return
+ * @param {string} [fields] The fields parameter
+ * @returns {Array<string>|null|Error} The fields, null for all fields, or an Error for unknown fields
+ */
+function parseFields(fields) {
+  if (fields === undefined || fields === '') {
+    return null;
+  }
+  
+  const selected = String(fields).split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = selected.filter(field => !GEEK_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return new Error(`Unknown fields: ${unknown.join(', ')}`);
+  }
+  
+  return selected;
+}
+
+/**
+ * Keep only the requested fields of a geek
+ * @param {Object} geek The geek resource
+ * @param {Array<string>|null} fields The fields to keep, or null for all
+ * @returns {Object} The geek with only the requested fields
+ */
+function selectFields(geek, fields) {
+  if (!fields) {
+    return geek;
+  }
+  
+  const selected = {};
+  fields.forEach(field => {
+    selected[field] = geek[field];
+  });
+  return selected;
+}
+
+/**
+ * Encode a pagination cursor pointing after the given geek
+ * @param {number} id The ID of the last geek on the page
+ * @returns {string} An opaque cursor
+ */
+function encodeCursor(id) {
+  return Buffer.from(JSON.stringify({ id })).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor The cursor from a previous page
+ * @returns {number|null} The ID to continue before, or null if the cursor is invalid
+ */
+function decodeCursor(cursor) {
+  try {
+    const { id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return Number.isInteger(id) && id > 0 ? id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Normalize a client supplied color to a '#RRGGBB' string
+ * @param {number|string} color Hex number (0xRRGGBB) or '#RRGGBB' string
+ * @returns {string|null} The color string or null if invalid
+ */
+function normalizeColor(color) {
+  if (Number.isInteger(color) && color >= 0 && color <= 0xFFFFFF) {
+    return '#' + color.toString(16).toUpperCase().padStart(6, '0');
+  }
+  
+  if (typeof color === 'string' && /^#[0-9a-fA-F]{6}$/.test(color)) {
+    return color.toUpperCase();
+  }
+  
+  return null;
+}
+
+/**
+ * Broadcast a new user to the clients of its world
+ * @param {Object} user The geek row
+ */
+function broadcastUserAdded(user) {
+  broadcast({
+    type: 'new_user',
+    user: toUserData(user)
+  }, user.world);
+}
+
+/**
+ * Broadcast changed user data, such as the anon flag, to the clients of its world
+ * @param {Object} user The updated geek row
+ */
+function broadcastUserUpdated(user) {
+  broadcast({
+    type: 'user_updated',
+    user: toUserData(user)
+  }, user.world);
+}
+
+/**
+ * Broadcast a user removal to the clients of a world
+ * @param {number} id The ID of the removed user
+ * @param {string} world The world the user lived in
+ */
+function broadcastUserRemoved(id, world) {
+  broadcast({
+    type: 'remove_user',
+    id: id
+  }, world);
+}
+
+/**
+ * Broadcast the new position of a geek to the clients of its world
+ * Positions are sent right away and kept out of the event log, a reconnecting
+ * client gets the latest one with the initial state.
+ * @param {number} id The ID of the geek
+ * @param {Object} position Position {x, y, z} on the planet surface
+ * @param {string} world The world of the geek
+ */
+function broadcastUserMoved(id, position, world) {
+  broadcast({
+    type: 'user_moved',
+    id,
+    position,
+    transient: true
+  }, world);
+}
+
+/**
+ * Broadcast a truncate users event to the clients of every world
+ */
+function broadcastTruncateUsers() {
+  broadcast({
+    type: 'clear_all_users'
+  });
+}
+
+/**
+ * Broadcast a user status change event to the clients of a world
+ * The event also reports how many tabs/devices the user has connected.
+ * @param {string} clientId The auth user ID of the user
+ * @param {boolean} isActive Whether the user is active or inactive
+ * @param {string} world The world of the user's geek
+ * @returns {Promise<void>} Resolves once the event is published
+ */
+function broadcastUserStatusChange(clientId, isActive, world) {
+  return broadcast({
+    type: 'user_status',
+    clientId: clientId,
+    active: isActive,
+    connections: countConnections(clientId, world)
+  }, world);
+}
+
+/**
+ * Broadcast a chat message to the clients of a world whose geek is within CHAT_RADIUS of the sender
+ * @param {number} id The ID of the sender's geek
+ * @param {string} text The filtered message
+ * @param {Object} position Position {x, y, z} of the sender's geek
+ * @param {string} world The world of the sender's geek
+ */
+function broadcastChat(id, text, position, world) {
+  broadcast({
+    type: 'chat',
+    id,
+    text,
+    sent_at: new Date().toISOString(),
+    transient: true,
+    near: { position, distance: CHAT_RADIUS }
+  }, world);
+}
+
+/**
+ * Broadcast an emote to the clients of a world
+ * @param {number} id The ID of the geek playing the emote
+ * @param {string} name The emote
+ * @param {string} world The world of the geek
+ */
+function broadcastEmote(id, name, world) {
+  broadcast({
+    type: 'emote',
+    id,
+    name,
+    transient: true
+  }, world);
+}
+
+/**
+ * Publish an event to the clients of every server instance
+ * @param {Object} event The event data
+ * @param {string} [world] The world whose clients get the event, every world if missing
+ * @returns {Promise<void>} Resolves once the event is published
+ */
+function broadcast(event, world) {
+  const validation = validateServerMessage(event);
+  if (!validation.valid) {
+    logger.error('Not broadcasting invalid event', { type: event.type, errors: validation.errors });
+    return Promise.resolve();
+  }
+  
+  // The world travels with the event so every instance knows whose clients get it
+  return broadcaster.publish(world !== undefined ? { ...event, world } : event).catch(error => {
+    logger.error('Error broadcasting event', { type: event.type, error });
+  });
+}
+
+// Events of each world waiting for the next broadcast tick
+let pendingEvents = new Map();
+let pendingTimers = [];
+let flushTimer = null;
+
+/**
+ * Number an event and queue it for the synced clients of its world on this instance
+ * Sequence numbers are per instance and world, each client follows the instance it is connected to.
+ * Transient events, such as chat and emotes, skip the event log, see deliverTransientEvent.
+ * @param {Object} published The event data, with the world it belongs to (every world if missing)
+ */
+function deliverEvent(published) {
+  const { world, transient, near, ...event } = published;
+  if (transient) {
+    deliverTransientEvent(event, world, near);
+    return;
+  }
+  
+  const worlds = world !== undefined ? [world] : [...eventLogs.keys()];
+  
+  worlds.forEach(id => {
+    // Another instance may know of worlds this one doesn't
+    if (!eventLogs.has(id)) {
+      return;
+    }
+    
+    if (!pendingEvents.has(id)) {
+      pendingEvents.set(id, []);
+    }
+    pendingEvents.get(id).push(eventLogs.get(id).append(event));
+  });
+  pendingTimers.push(broadcastFanout.startTimer());
+  
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushEvents, BROADCAST_TICK);
+  }
+}
+
+/**
+ * Send a transient event right away to the synced clients of its world
+ * Transient events aren't numbered, so clients don't replay them after a gap.
+ * Events limited to an area only reach the WebSocket clients whose geek is in it,
+ * event stream clients have no geek.
+ * @param {Object} event The event data
+ * @param {string} world The world whose clients get the event
+ * @param {Object} [near] The area ({ position, distance }) the event reaches
+ */
+function deliverTransientEvent(event, world, near) {
+  // Transient events have no binary form, every client gets the same JSON frame
+  const frame = JSON.stringify(event);
+  
+  for (const client of [...clients, ...sseClients]) {
+    if (client.world !== world || !client.synced || client.readyState !== WebSocket.OPEN) {
+      continue;
+    }
+    
+    if (near && !(client.position && greatCircleDistance(near.position, client.position) <= near.distance)) {
+      continue;
+    }
+    
+    client.send(frame);
+  }
+  
+  eventsBroadcast.inc({ type: event.type });
+}
+
+/**
+ * Send the events of the current tick to the synced clients of each world
+ * Version 2 clients get them as a single batch, in their negotiated encoding;
+ * version 1 clients get one message per event. Each format is encoded once per world.
+ */
+function flushEvents() {
+  const eventsByWorld = pendingEvents;
+  const timers = pendingTimers;
+  pendingEvents = new Map();
+  pendingTimers = [];
+  flushTimer = null;
+  
+  eventsByWorld.forEach((events, world) => {
+    const message = events.length === 1 ? events[0] : { type: 'batch', events };
+    const frames = new Map();
+    const framesFor = (client) => {
+      const format = client.protocolVersion < 2 ? 'single' : client.encoding;
+      if (!frames.has(format)) {
+        if (format === 'single') {
+          frames.set(format, events.map(event => JSON.stringify(event)));
+        } else if (format === ENCODINGS.BINARY) {
+          frames.set(format, [encodeMessage(message) || JSON.stringify(message)]);
+        } else {
+          frames.set(format, [JSON.stringify(message)]);
+        }
+      }
+      return frames.get(format);
+    };
+    
+    for (const client of [...clients, ...sseClients]) {
+      if (client.world === world && client.synced && client.readyState === WebSocket.OPEN) {
+        framesFor(client).forEach(frame => client.send(frame));
+      }
+    }
+    
+    events.forEach(event => eventsBroadcast.inc({ type: event.type }));
+  });
+  
+  timers.forEach(stop => stop());
+}
+
+// Set once a shutdown signal arrives
+let shuttingDown = false;
+
+/**
+ * Shut down gracefully: stop accepting connections, tell clients the server
+ * is restarting, mark their geeks offline and close the database connections
+ * @param {string} signal The signal that triggered the shutdown
+ */
+async function shutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  logger.info('Shutting down', { signal });
+  
+  // Don't hang forever on a stuck connection
+  setTimeout(() => {
+    logger.error('Graceful shutdown timed out, exiting');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT).unref();
+  
+  // Stop accepting connections and background work
+  server.close();
+  clearInterval(heartbeatTimer);
+  clearInterval(presenceSweepTimer);
+  clearInterval(presenceSampleTimer);
+  clearInterval(retentionTimer);
+  
+  // Tell clients to come back later instead of dropping them
+  const connections = [...clients];
+  for (const client of [...connections, ...sseClients]) {
+    sendToClient(client, {
+      type: 'server_restarting',
+      message: 'Server restarting'
+    });
+    client.close(CLOSE_SERVICE_RESTART, 'Server restarting');
+  }
+  wss.close();
+  
+  // Flush the offline state and the last position of everyone who was connected
+  await Promise.all(connections.map(endConnectionSession));
+  await Promise.all(connections.map(persistPosition));
+  
+  // Leave the other instances nothing to clean up after this one
+  try {
+    await storage.endInstanceSessions(INSTANCE_ID);
+    await storage.removeInstance(INSTANCE_ID);
+  } catch (error) {
+    logger.error('Error unregistering the instance during shutdown', { error });
+  }
+  
+  const online = [];
+  connectionsByWorld.forEach((connectionsByClientId, world) => {
+    connectionsByClientId.forEach((connections, clientId) => online.push({ clientId, world }));
+    connectionsByClientId.clear();
+  });
+  let offline = 0;
+  for (const { clientId, world } of online) {
+    try {
+      // Geeks also connected to another instance stay online
+      if ((await storage.deactivateDisconnected({ clientId, world })).length === 0) {
+        continue;
+      }
+      offline++;
+      
+      // Clients of other instances still need to see them go offline
+      await broadcastUserStatusChange(clientId, false, world);
+    } catch (error) {
+      logger.error('Error marking geek offline during shutdown', { client_id: clientId, world, error });
+    }
+  }
+  logger.info('Marked geeks offline', { count: offline });
+  
+  clearTimeout(flushTimer);
+  
+  try {
+    await broadcaster.close();
+    await storage.close();
+  } catch (error) {
+    logger.error('Error closing connections during shutdown', { error });
+  }
+  
+  logger.info('Shutdown complete');
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Start the server
+server.listen(PORT, async () => {
+  logger.info(`Server running on port ${PORT}`, {
+    port: PORT,
+    instance_id: INSTANCE_ID,
+    auth_provider: auth.name,
+    protocol: protocolName(PROTOCOL_VERSION),
+    supported_versions: SUPPORTED_VERSIONS,
+    encodings: Object.values(ENCODINGS)
+  });
+  
+  // Start receiving events from the other instances
+  try {
+    await broadcaster.start();
+    logger.info('Broadcaster started', { broadcaster: broadcaster.name });
+  } catch (error) {
+    logger.error('Failed to start broadcaster, events stay on this instance until it connects', {
+      broadcaster: broadcaster.name,
+      error
+    });
+  }
+  
+  // Connect to database
+  const dbConnected = await connectToDatabase();
+  if (!dbConnected) {
+    logger.error('Failed to connect to database, server may not function correctly');
+  } else {
+    // Clean up after the previous run, then keep presence in sync with live connections
+    await resetStalePresence();
+    startPresenceSweep();
+    startPresenceSampling();
+    startRetention();
+  }
+  
+  // Detect half-open connections
+  startHeartbeat();
+  
+  logger.debug('API endpoints available', {
+    endpoints: [
+      'GET /api/worlds - List the worlds and their online counts',
+      'GET /api/config - Get the configuration of a world (planet, palette, day duration, sizes)',
+      'GET /api/stats - Get active user count and geek data of a world',
+      'GET /api/stats/history - Get the online count history (world, from, to, bucket)',
+      'GET /api/geeks - List geeks (filters including world, cursor pagination, fields)',
+      'GET /api/geeks/:id - Get a single geek',
+      'GET /api/geeks/:id/sessions - Get the session history of a geek',
+      'POST /api/users/random - Add a random user (admin)',
+      'POST /api/truncate-users - Remove all users (admin)',
+      'GET /api/retention - Report the anonymous geeks the retention policy would delete (admin)',
+      'POST /api/retention - Delete inactive anonymous geeks (admin)',
+      'POST /api/auth/anonymous - Authenticate anonymously and create geek',
+      'POST /api/auth/verify - Verify a token',
+      'POST /api/auth/link - Attach an email and password to an anonymous user',
+      'POST /api/auth/login - Sign in with an email and password',
+      'GET /api/auth/admin - Check an admin key',
+      'GET /healthz - Liveness check',
+      'GET /readyz - Readiness check (database and auth provider)',
+      'GET /metrics - Prometheus metrics'
+    ]
+  });
 }); 
\ No newline at end of file
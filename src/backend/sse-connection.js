@@ -0,0 +1,65 @@
+/**
+ * Server-Sent Events Connection
+ * Wraps an HTTP response in the small part of the WebSocket interface the
+ * presence code uses (readyState and send), so SSE clients can receive the
+ * same snapshots and broadcasts as WebSocket clients.
+ */
+const WebSocket = require('ws');
+
+class SseConnection {
+  /**
+   * Start an event stream on a response
+   * @param {Object} req The HTTP request
+   * @param {Object} res The HTTP response
+   * @param {Object} [options] Stream options
+   * @param {number} [options.keepAliveInterval=25000] How often to send a comment so proxies keep the stream open (ms)
+   */
+  constructor(req, res, options = {}) {
+    this.res = res;
+    this.readyState = WebSocket.OPEN;
+    this.synced = false;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('\n');
+
+    this.keepAliveTimer = setInterval(() => {
+      res.write(': keep-alive\n\n');
+    }, options.keepAliveInterval || 25000);
+
+    req.on('close', () => this.close());
+  }
+
+  /**
+   * Send a message as a single event
+   * @param {string} message The serialized message
+   */
+  send(message) {
+    if (this.readyState === WebSocket.OPEN) {
+      this.res.write(`data: ${message}\n\n`);
+    }
+  }
+
+  /**
+   * End the stream
+   */
+  close() {
+    if (this.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    this.readyState = WebSocket.CLOSED;
+    clearInterval(this.keepAliveTimer);
+    this.res.end();
+
+    if (this.onclose) {
+      this.onclose();
+    }
+  }
+}
+
+module.exports = { SseConnection };
@@ -0,0 +1,36 @@
+/**
+ * Geek Storage
+ * Selects the storage implementation used by the server.
+ *
+ * Every storage exposes the same async interface:
+ * connect, ping, countGeeks, listGeeks, findGeeks, findById, findByClientId, createGeek,
+ * spawnGeek, moveGeek, activate, deactivate, markRegistered, deactivateDisconnected, deleteGeek,
+ * findInactiveGeeks, deleteInactiveGeeks, truncate, startSession, endSession,
+ * endInstanceSessions, endOrphanedSessions, touchInstance, removeInstance, listSessions,
+ * listSessionsBetween, addPresenceSample, listPresenceSamples, createIdentity,
+ * findIdentityByEmail, findIdentityByClientId and close.
+ */
+const { PostgresStorage } = require('./postgres');
+const { MemoryStorage } = require('./memory');
+
+/**
+ * Create the storage configured for this server
+ * @param {Object} [options] Storage options
+ * @param {string} [options.driver='postgres'] Storage driver ('postgres' or 'memory')
+ * @param {string} [options.databaseUrl] PostgreSQL connection string
+ * @returns {PostgresStorage|MemoryStorage} The storage instance
+ */
+function createStorage(options = {}) {
+  const driver = options.driver || 'postgres';
+
+  switch (driver) {
+    case 'postgres':
+      return new PostgresStorage({ connectionString: options.databaseUrl });
+    case 'memory':
+      return new MemoryStorage();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = { createStorage };
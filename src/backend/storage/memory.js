@@ -0,0 +1,593 @@
+/**
+ * In-Memory Geek Storage
+ * Keeps geeks in process memory so the server can run without a database.
+ * Everything is lost when the process exits.
+ */
+
+class MemoryStorage {
+  constructor() {
+    this.name = 'memory';
+    this.geeks = new Map();
+    this.nextId = 1;
+    this.sessions = new Map();
+    this.nextSessionId = 1;
+    this.instances = new Map(); // server instance ID -> { id, started_at, last_seen_at }
+    this.presenceSamples = [];
+    this.nextSampleId = 1;
+    this.identities = new Map();
+    this.nextIdentityId = 1;
+  }
+
+  /**
+   * Nothing to connect to, kept for parity with the other storages
+   * @returns {Promise<Date>} The current time
+   */
+  async connect() {
+    return new Date();
+  }
+
+  /**
+   * Check that the storage is reachable
+   * @returns {Promise<boolean>} Always true
+   */
+  async ping() {
+    return true;
+  }
+
+  /**
+   * Count all geeks
+   * @param {Object} [options] Count options
+   * @param {string} [options.world] Only count the geeks of this world
+   * @returns {Promise<number>} Total number of geeks
+   */
+  async countGeeks(options = {}) {
+    if (options.world === undefined) {
+      return this.geeks.size;
+    }
+
+    return Array.from(this.geeks.values()).filter(geek => geek.world === options.world).length;
+  }
+
+  /**
+   * List geeks, newest first
+   * @param {Object} [options] List options
+   * @param {boolean} [options.active] Only return geeks with this active state
+   * @param {string} [options.world] Only return the geeks of this world
+   * @param {number} [options.limit] Maximum number of geeks to return
+   * @returns {Promise<Array<Object>>} Geek rows
+   */
+  async listGeeks(options = {}) {
+    let rows = Array.from(this.geeks.values());
+
+    if (options.active !== undefined) {
+      rows = rows.filter(geek => geek.active === options.active);
+    }
+
+    if (options.world !== undefined) {
+      rows = rows.filter(geek => geek.world === options.world);
+    }
+
+    // Newest first, falling back to id for geeks created in the same millisecond
+    rows.sort((a, b) => (b.created_at - a.created_at) || (b.id - a.id));
+
+    if (options.limit !== undefined) {
+      rows = rows.slice(0, options.limit);
+    }
+
+    return rows.map(geek => ({ ...geek }));
+  }
+
+  /**
+   * Find geeks matching a set of filters, newest (highest id) first
+   * @param {Object} [query] Query options, see PostgresStorage#findGeeks
+   * @returns {Promise<Array<Object>>} Geek rows
+   */
+  async findGeeks(query = {}) {
+    const colors = query.colors && query.colors.length > 0 ? new Set(query.colors) : null;
+
+    let rows = Array.from(this.geeks.values()).filter(geek =>
+      (query.active === undefined || geek.active === query.active) &&
+      (query.anon === undefined || geek.anon === query.anon) &&
+      (query.world === undefined || geek.world === query.world) &&
+      (!colors || colors.has(geek.color)) &&
+      (!query.createdAfter || geek.created_at >= query.createdAfter) &&
+      (!query.createdBefore || geek.created_at < query.createdBefore) &&
+      (!query.updatedAfter || (geek.updated_at && geek.updated_at >= query.updatedAfter)) &&
+      (!query.updatedBefore || (geek.updated_at && geek.updated_at < query.updatedBefore)) &&
+      (query.beforeId === undefined || geek.id < query.beforeId)
+    );
+
+    rows.sort((a, b) => b.id - a.id);
+
+    if (query.limit !== undefined) {
+      rows = rows.slice(0, query.limit);
+    }
+
+    return rows.map(geek => ({ ...geek }));
+  }
+
+  /**
+   * Find the geek of a client in a world
+   * @param {string} clientId The client ID
+   * @param {string} world The world ID
+   * @returns {Promise<Object|null>} The geek row or null if not found
+   */
+  async findByClientId(clientId, world) {
+    const geek = this.findRow(clientId, world);
+    return geek ? { ...geek } : null;
+  }
+
+  /**
+   * Find a geek by ID
+   * @param {number} id The geek ID
+   * @returns {Promise<Object|null>} The geek row or null if not found
+   */
+  async findById(id) {
+    const geek = this.geeks.get(id);
+    return geek ? { ...geek } : null;
+  }
+
+  /**
+   * Create a new geek
+   * @param {Object} geek The geek data, see PostgresStorage#createGeek
+   * @returns {Promise<Object>} The created geek row
+   */
+  async createGeek(geek) {
+    // Mirror the unique (client_id, world) constraint of the database
+    if (geek.clientId && this.findRow(geek.clientId, geek.world)) {
+      throw new Error(`A geek already exists for client ID ${geek.clientId} in world ${geek.world}`);
+    }
+
+    const row = {
+      id: this.nextId++,
+      client_id: geek.clientId || null,
+      position_x: geek.position.x,
+      position_y: geek.position.y,
+      position_z: geek.position.z,
+      size: geek.size,
+      color: geek.color,
+      active: geek.active !== undefined ? geek.active : true,
+      anon: geek.anon || false,
+      world: geek.world,
+      created_at: new Date(),
+      updated_at: null
+    };
+
+    this.geeks.set(row.id, row);
+    return { ...row };
+  }
+
+  /**
+   * Create a geek for a client ID in a world, or activate the one it already has there
+   * @param {Object} geek The geek data, see PostgresStorage#createGeek (clientId is required)
+   * @returns {Promise<Object>} The geek row and whether it was created ({ geek, created })
+   */
+  async spawnGeek(geek) {
+    // No await between the lookup and the insert, so this can't race
+    const existing = this.findRow(geek.clientId, geek.world);
+    if (existing) {
+      return {
+        geek: this.setActive(geek.clientId, geek.world, geek.active !== undefined ? geek.active : true),
+        created: false
+      };
+    }
+
+    return {
+      geek: await this.createGeek(geek),
+      created: true
+    };
+  }
+
+  /**
+   * Move a geek
+   * @param {number} id The geek ID
+   * @param {Object} position Position {x, y, z} on the planet surface
+   * @returns {Promise<Object|null>} The updated geek row or null if not found
+   */
+  async moveGeek(id, position) {
+    const geek = this.geeks.get(id);
+    if (!geek) {
+      return null;
+    }
+
+    geek.position_x = position.x;
+    geek.position_y = position.y;
+    geek.position_z = position.z;
+    geek.updated_at = new Date();
+    return { ...geek };
+  }
+
+  /**
+   * Mark the geek of a client in a world as active (online)
+   * @param {string} clientId The client ID
+   * @param {string} world The world ID
+   * @returns {Promise<Object|null>} The updated geek row or null if not found
+   */
+  async activate(clientId, world) {
+    return this.setActive(clientId, world, true);
+  }
+
+  /**
+   * Mark the geek of a client in a world as inactive (offline)
+   * @param {string} clientId The client ID
+   * @param {string} world The world ID
+   * @returns {Promise<Object|null>} The updated geek row or null if not found
+   */
+  async deactivate(clientId, world) {
+    return this.setActive(clientId, world, false);
+  }
+
+  /**
+   * Mark the geeks of a client, in every world, as registered (no longer anonymous)
+   * @param {string} clientId The client ID
+   * @returns {Promise<Array<Object>>} The geek rows that were anonymous until now
+   */
+  async markRegistered(clientId) {
+    const updated = [];
+
+    for (const geek of this.geeks.values()) {
+      if (geek.client_id === clientId && geek.anon) {
+        geek.anon = false;
+        geek.updated_at = new Date();
+        updated.push({ ...geek });
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Mark the active geeks without an open session, on any server instance, as inactive
+   * Geeks without a client ID are never backed by a connection and are left alone.
+   * @param {Object} [filter] Only consider the geek of one client in one world
+   * @param {string} [filter.clientId] The client ID
+   * @param {string} [filter.world] The world ID
+   * @returns {Promise<Array<Object>>} The geek rows that were deactivated
+   */
+  async deactivateDisconnected({ clientId, world } = {}) {
+    const connected = new Set();
+    for (const session of this.sessions.values()) {
+      if (!session.disconnected_at) {
+        connected.add(session.geek_id);
+      }
+    }
+
+    const deactivated = [];
+
+    for (const geek of this.geeks.values()) {
+      if (clientId && (geek.client_id !== clientId || geek.world !== world)) {
+        continue;
+      }
+      if (geek.active && geek.client_id !== null && !connected.has(geek.id)) {
+        geek.active = false;
+        geek.updated_at = new Date();
+        deactivated.push({ ...geek });
+      }
+    }
+
+    return deactivated;
+  }
+
+  /**
+   * Delete a geek
+   * @param {number} id The geek ID
+   * @returns {Promise<Object|null>} The deleted geek row or null if not found
+   */
+  async deleteGeek(id) {
+    const geek = this.geeks.get(id);
+    if (!geek) {
+      return null;
+    }
+
+    this.geeks.delete(id);
+    for (const session of this.sessions.values()) {
+      if (session.geek_id === id) {
+        this.sessions.delete(session.id);
+      }
+    }
+    return { ...geek };
+  }
+
+  /**
+   * Find geeks that have been inactive since before a date, least recently active first
+   * A geek's last activity is its last update, or its creation if it was never updated.
+   * @param {Object} query Query options
+   * @param {Date} query.inactiveBefore Only return geeks last active before this date
+   * @param {boolean} [query.anon] Only return geeks with this anon state
+   * @param {number} [query.limit] Maximum number of geeks to return
+   * @returns {Promise<Array>} Geek rows
+   */
+  async findInactiveGeeks(query) {
+    const lastActive = geek => geek.updated_at || geek.created_at;
+
+    let rows = Array.from(this.geeks.values()).filter(geek =>
+      !geek.active &&
+      lastActive(geek) < query.inactiveBefore &&
+      (query.anon === undefined || geek.anon === query.anon)
+    );
+
+    rows.sort((a, b) => lastActive(a) - lastActive(b) || a.id - b.id);
+
+    if (query.limit !== undefined) {
+      rows = rows.slice(0, query.limit);
+    }
+
+    return rows.map(geek => ({ ...geek }));
+  }
+
+  /**
+   * Delete geeks that have been inactive since before a date, least recently active first
+   * @param {Object} query Query options, see findInactiveGeeks
+   * @returns {Promise<Array>} The deleted geek rows
+   */
+  async deleteInactiveGeeks(query) {
+    const rows = await this.findInactiveGeeks(query);
+    for (const geek of rows) {
+      await this.deleteGeek(geek.id);
+    }
+    return rows;
+  }
+
+  /**
+   * Remove all geeks
+   * @returns {Promise<void>}
+   */
+  async truncate() {
+    this.geeks.clear();
+    this.sessions.clear();
+  }
+
+  /**
+   * Record the start of a connection session
+   * @param {Object} session Session data
+   * @param {number} session.geekId The geek that connected
+   * @param {string} session.clientId The client ID of the connection
+   * @param {string} session.instanceId The server instance holding the connection
+   * @returns {Promise<Object>} The session row
+   */
+  async startSession({ geekId, clientId, instanceId }) {
+    const session = {
+      id: this.nextSessionId++,
+      geek_id: geekId,
+      client_id: clientId,
+      instance_id: instanceId,
+      connected_at: new Date(),
+      disconnected_at: null
+    };
+    this.sessions.set(session.id, session);
+    return { ...session };
+  }
+
+  /**
+   * Record the end of a connection session
+   * @param {number} id The session ID
+   * @returns {Promise<Object|null>} The session row or null if it was not open
+   */
+  async endSession(id) {
+    const session = this.sessions.get(id);
+    if (!session || session.disconnected_at) {
+      return null;
+    }
+
+    session.disconnected_at = new Date();
+    return { ...session };
+  }
+
+  /**
+   * Close the open sessions of a server instance
+   * @param {string} instanceId The instance ID
+   * @param {Array<number>} [keep=[]] IDs of the sessions to leave open
+   * @returns {Promise<number>} Number of sessions closed
+   */
+  async endInstanceSessions(instanceId, keep = []) {
+    let closed = 0;
+    for (const session of this.sessions.values()) {
+      if (session.instance_id === instanceId && !session.disconnected_at && !keep.includes(session.id)) {
+        session.disconnected_at = new Date();
+        closed++;
+      }
+    }
+    return closed;
+  }
+
+  /**
+   * Forget the server instances that stopped sending heartbeats, and close the sessions
+   * of every instance that is gone, including the sessions without an instance
+   * @param {number} timeout Time without a heartbeat after which an instance is gone, in milliseconds
+   * @returns {Promise<number>} Number of sessions closed
+   */
+  async endOrphanedSessions(timeout) {
+    const now = new Date();
+    for (const instance of this.instances.values()) {
+      if (now - instance.last_seen_at > timeout) {
+        this.instances.delete(instance.id);
+      }
+    }
+
+    let closed = 0;
+    for (const session of this.sessions.values()) {
+      if (!session.disconnected_at && !this.instances.has(session.instance_id)) {
+        session.disconnected_at = now;
+        closed++;
+      }
+    }
+    return closed;
+  }
+
+  /**
+   * Register a server instance or record its heartbeat
+   * @param {string} id The instance ID
+   * @returns {Promise<boolean>} True if the instance wasn't registered, e.g. because it was
+   *   taken for gone and its sessions were closed
+   */
+  async touchInstance(id) {
+    const instance = this.instances.get(id);
+    if (instance) {
+      instance.last_seen_at = new Date();
+      return false;
+    }
+
+    this.instances.set(id, { id, started_at: new Date(), last_seen_at: new Date() });
+    return true;
+  }
+
+  /**
+   * Unregister a server instance that is shutting down
+   * @param {string} id The instance ID
+   * @returns {Promise<boolean>} True if the instance was registered
+   */
+  async removeInstance(id) {
+    return this.instances.delete(id);
+  }
+
+  /**
+   * List the sessions of a geek, newest first
+   * @param {number} geekId The geek ID
+   * @returns {Promise<Array<Object>>} Session rows
+   */
+  async listSessions(geekId) {
+    return Array.from(this.sessions.values())
+      .filter(session => session.geek_id === geekId)
+      .sort((a, b) => (b.connected_at - a.connected_at) || (b.id - a.id))
+      .map(session => ({ ...session }));
+  }
+
+  /**
+   * List the sessions that overlap a time range
+   * @param {Object} range The time range
+   * @param {Date} range.from Start of the range
+   * @param {Date} range.to End of the range
+   * @param {string} [range.world] Only the sessions of the geeks in this world
+   * @returns {Promise<Array<Object>>} Session rows
+   */
+  async listSessionsBetween({ from, to, world }) {
+    return Array.from(this.sessions.values())
+      .filter(session => session.connected_at < to && (!session.disconnected_at || session.disconnected_at >= from))
+      .filter(session => !world || (this.geeks.has(session.geek_id) && this.geeks.get(session.geek_id).world === world))
+      .map(session => ({ ...session }));
+  }
+
+  /**
+   * Record how many geeks of a world are online on a server instance right now
+   * @param {Object} sample Sample data
+   * @param {string} sample.instanceId The server instance that took the sample
+   * @param {string} sample.world The world ID
+   * @param {number} sample.online Number of geeks online
+   * @param {number} sample.connections Number of open connections
+   * @returns {Promise<Object>} The sample row
+   */
+  async addPresenceSample({ instanceId, world, online, connections }) {
+    const sample = {
+      id: this.nextSampleId++,
+      sampled_at: new Date(),
+      instance_id: instanceId,
+      world,
+      online,
+      connections
+    };
+    this.presenceSamples.push(sample);
+    return { ...sample };
+  }
+
+  /**
+   * List the presence samples taken in a time range, oldest first
+   * @param {Object} range The time range
+   * @param {Date} range.from Start of the range
+   * @param {Date} range.to End of the range
+   * @param {string} [range.world] Only the samples of this world
+   * @returns {Promise<Array<Object>>} Sample rows
+   */
+  async listPresenceSamples({ from, to, world }) {
+    return this.presenceSamples
+      .filter(sample => sample.sampled_at >= from && sample.sampled_at < to && (!world || sample.world === world))
+      .map(sample => ({ ...sample }));
+  }
+
+  /**
+   * Store an email/password identity for a client
+   * @param {Object} identity The identity
+   * @param {string} identity.clientId The client ID the identity belongs to
+   * @param {string} identity.email The normalized email address
+   * @param {string} identity.passwordHash The password hash
+   * @returns {Promise<Object|null>} The identity row or null if the client or the email already has one
+   */
+  async createIdentity({ clientId, email, passwordHash }) {
+    // Mirror the unique constraints of the database
+    for (const identity of this.identities.values()) {
+      if (identity.client_id === clientId || identity.email === email) {
+        return null;
+      }
+    }
+
+    const row = {
+      id: this.nextIdentityId++,
+      client_id: clientId,
+      email,
+      password_hash: passwordHash,
+      created_at: new Date()
+    };
+    this.identities.set(row.id, row);
+    return { ...row };
+  }
+
+  /**
+   * Find an identity by email
+   * @param {string} email The normalized email address
+   * @returns {Promise<Object|null>} The identity row or null if not found
+   */
+  async findIdentityByEmail(email) {
+    const identity = Array.from(this.identities.values()).find(row => row.email === email);
+    return identity ? { ...identity } : null;
+  }
+
+  /**
+   * Find the identity of a client
+   * @param {string} clientId The client ID
+   * @returns {Promise<Object|null>} The identity row or null if not found
+   */
+  async findIdentityByClientId(clientId) {
+    const identity = Array.from(this.identities.values()).find(row => row.client_id === clientId);
+    return identity ? { ...identity } : null;
+  }
+
+  /**
+   * Nothing to close, kept for parity with the other storages
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Find the stored row of a client in a world
+   * @param {string} clientId The client ID
+   * @param {string} world The world ID
+   * @returns {Object|undefined} The stored row (not a copy)
+   */
+  findRow(clientId, world) {
+    for (const geek of this.geeks.values()) {
+      if (geek.client_id === clientId && geek.world === world) {
+        return geek;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Update the active flag of a geek
+   * @param {string} clientId The client ID
+   * @param {string} world The world ID
+   * @param {boolean} active The new active state
+   * @returns {Object|null} The updated geek row or null if not found
+   */
+  setActive(clientId, world, active) {
+    const geek = this.findRow(clientId, world);
+    if (!geek) {
+      return null;
+    }
+
+    geek.active = active;
+    geek.updated_at = new Date();
+    return { ...geek };
+  }
+}
+
+module.exports = { MemoryStorage };
@@ -0,0 +1,595 @@
+/**
+ * PostgreSQL Geek Storage
+ * Persists geeks in the `geeks` table through a pg Pool
+ */
+const { Pool } = require('pg');
+
+class PostgresStorage {
+  /**
+   * Create a new PostgreSQL storage
+   * @param {Object} options Storage options
+   * @param {string} options.connectionString PostgreSQL connection string
+   */
+  constructor(options = {}) {
+    this.name = 'postgres';
+    this.connectionString = options.connectionString;
+    this.pool = null;
+  }
+
+  /**
+   * Connect to the database and test the connection
+   * @returns {Promise<Date>} The database server time
+   */
+  async connect() {
+    this.pool = new Pool({
+      connectionString: this.connectionString,
+    });
+
+    const result = await this.pool.query('SELECT NOW()');
+    return result.rows[0].now;
+  }
+
+  /**
+   * Check that the database answers queries
+   * @returns {Promise<boolean>} True when the database is reachable
+   */
+  async ping() {
+    if (!this.pool) {
+      throw new Error('Not connected');
+    }
+
+    await this.pool.query('SELECT 1');
+    return true;
+  }
+
+  /**
+   * Count all geeks
+   * @param {Object} [options] Count options
+   * @param {string} [options.world] Only count the geeks of this world
+   * @returns {Promise<number>} Total number of geeks
+   */
+  async countGeeks(options = {}) {
+    const result = options.world !== undefined
+      ? await this.pool.query('SELECT COUNT(*) FROM geeks WHERE world = $1', [options.world])
+      : await this.pool.query('SELECT COUNT(*) FROM geeks');
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * List geeks, newest first
+   * @param {Object} [options] List options
+   * @param {boolean} [options.active] Only return geeks with this active state
+   * @param {string} [options.world] Only return the geeks of this world
+   * @param {number} [options.limit] Maximum number of geeks to return
+   * @returns {Promise<Array<Object>>} Geek rows
+   */
+  async listGeeks(options = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (options.active !== undefined) {
+      params.push(options.active);
+      conditions.push(`active = $${params.length}`);
+    }
+
+    if (options.world !== undefined) {
+      params.push(options.world);
+      conditions.push(`world = $${params.length}`);
+    }
+
+    let query = 'SELECT * FROM geeks';
+    if (conditions.length > 0) {
+      query += ' WHERE ' + conditions.join(' AND ');
+    }
+    query += ' ORDER BY created_at DESC';
+
+    if (options.limit !== undefined) {
+      params.push(options.limit);
+      query += ` LIMIT $${params.length}`;
+    }
+
+    const result = await this.pool.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Find geeks matching a set of filters, newest (highest id) first
+   * @param {Object} [query] Query options
+   * @param {boolean} [query.active] Only geeks with this active state
+   * @param {boolean} [query.anon] Only geeks with this anon flag
+   * @param {string} [query.world] Only geeks of this world
+   * @param {Array<string>} [query.colors] Only geeks with one of these colors
+   * @param {Date} [query.createdAfter] Only geeks created at or after this time
+   * @param {Date} [query.createdBefore] Only geeks created before this time
+   * @param {Date} [query.updatedAfter] Only geeks updated at or after this time
+   * @param {Date} [query.updatedBefore] Only geeks updated before this time
+   * @param {number} [query.beforeId] Only geeks with a lower id (pagination cursor)
+   * @param {number} [query.limit] Maximum number of geeks to return
+   * @returns {Promise<Array<Object>>} Geek rows
+   */
+  async findGeeks(query = {}) {
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (query.active !== undefined) addCondition('active = ?', query.active);
+    if (query.anon !== undefined) addCondition('anon = ?', query.anon);
+    if (query.world !== undefined) addCondition('world = ?', query.world);
+    if (query.colors && query.colors.length > 0) addCondition('color = ANY(?)', query.colors);
+    if (query.createdAfter) addCondition('created_at >= ?', query.createdAfter);
+    if (query.createdBefore) addCondition('created_at < ?', query.createdBefore);
+    if (query.updatedAfter) addCondition('updated_at >= ?', query.updatedAfter);
+    if (query.updatedBefore) addCondition('updated_at < ?', query.updatedBefore);
+    if (query.beforeId !== undefined) addCondition('id < ?', query.beforeId);
+
+    let sql = 'SELECT * FROM geeks';
+    if (conditions.length > 0) {
+      sql += ' WHERE ' + conditions.join(' AND ');
+    }
+    sql += ' ORDER BY id DESC';
+
+    if (query.limit !== undefined) {
+      params.push(query.limit);
+      sql += ` LIMIT $${params.length}`;
+    }
+
+    const result = await this.pool.query(sql, params);
+    return result.rows;
+  }
+
+  /**
+   * Find the geek of a client in a world
+   * @param {string} clientId The client ID
+   * @param {string} world The world ID
+   * @returns {Promise<Object|null>} The geek row or null if not found
+   */
+  async findByClientId(clientId, world) {
+    const result = await this.pool.query(
+      'SELECT * FROM geeks WHERE client_id = $1 AND world = $2',
+      [clientId, world]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find a geek by ID
+   * @param {number} id The geek ID
+   * @returns {Promise<Object|null>} The geek row or null if not found
+   */
+  async findById(id) {
+    const result = await this.pool.query(
+      'SELECT * FROM geeks WHERE id = $1',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a new geek
+   * @param {Object} geek The geek data
+   * @param {Object} geek.position Position {x, y, z} on the planet surface
+   * @param {number} geek.size Size of the geek
+   * @param {string} geek.color Color of the geek (hex string)
+   * @param {string} geek.world The world the geek lives in
+   * @param {string} [geek.clientId] Client ID associated with the geek
+   * @param {boolean} [geek.anon=false] Whether the geek is anonymous
+   * @param {boolean} [geek.active=true] Whether the geek is active
+   * @returns {Promise<Object>} The created geek row
+   */
+  async createGeek(geek) {
+    const result = await this.pool.query(
+      'INSERT INTO geeks (position_x, position_y, position_z, size, color, client_id, anon, active, world, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW()) RETURNING *',
+      [
+        geek.position.x,
+        geek.position.y,
+        geek.position.z,
+        geek.size,
+        geek.color,
+        geek.clientId || null,
+        geek.anon || false,
+        geek.active !== undefined ? geek.active : true,
+        geek.world
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Create a geek for a client ID in a world, or activate the one it already has there
+   * Runs as a single upsert on the unique (client_id, world), so concurrent spawns
+   * for the same identity can never create duplicates.
+   * @param {Object} geek The geek data, see createGeek (clientId is required)
+   * @returns {Promise<Object>} The geek row and whether it was created ({ geek, created })
+   */
+  async spawnGeek(geek) {
+    const result = await this.pool.query(
+      `INSERT INTO geeks (position_x, position_y, position_z, size, color, client_id, anon, active, world, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+       ON CONFLICT (client_id, world) DO UPDATE SET active = EXCLUDED.active, updated_at = NOW()
+       RETURNING *, (xmax = 0) AS created`,
+      [
+        geek.position.x,
+        geek.position.y,
+        geek.position.z,
+        geek.size,
+        geek.color,
+        geek.clientId,
+        geek.anon || false,
+        geek.active !== undefined ? geek.active : true,
+        geek.world
+      ]
+    );
+
+    const { created, ...row } = result.rows[0];
+    return { geek: row, created };
+  }
+
+  /**
+   * Move a geek
+   * @param {number} id The geek ID
+   * @param {Object} position Position {x, y, z} on the planet surface
+   * @returns {Promise<Object|null>} The updated geek row or null if not found
+   */
+  async moveGeek(id, position) {
+    const result = await this.pool.query(
+      'UPDATE geeks SET position_x = $2, position_y = $3, position_z = $4, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [id, position.x, position.y, position.z]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark the geek of a client in a world as active (online)
+   * @param {string} clientId The client ID
+   * @param {string} world The world ID
+   * @returns {Promise<Object|null>} The updated geek row or null if not found
+   */
+  async activate(clientId, world) {
+    const result = await this.pool.query(
+      'UPDATE geeks SET active = true, updated_at = NOW() WHERE client_id = $1 AND world = $2 RETURNING *',
+      [clientId, world]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark the geek of a client in a world as inactive (offline)
+   * @param {string} clientId The client ID
+   * @param {string} world The world ID
+   * @returns {Promise<Object|null>} The updated geek row or null if not found
+   */
+  async deactivate(clientId, world) {
+    const result = await this.pool.query(
+      'UPDATE geeks SET active = false, updated_at = NOW() WHERE client_id = $1 AND world = $2 RETURNING *',
+      [clientId, world]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark the geeks of a client, in every world, as registered (no longer anonymous)
+   * @param {string} clientId The client ID
+   * @returns {Promise<Array<Object>>} The geek rows that were anonymous until now
+   */
+  async markRegistered(clientId) {
+    const result = await this.pool.query(
+      'UPDATE geeks SET anon = false, updated_at = NOW() WHERE client_id = $1 AND anon = true RETURNING *',
+      [clientId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Mark the active geeks without an open session, on any server instance, as inactive
+   * Geeks without a client ID are never backed by a connection and are left alone.
+   * @param {Object} [filter] Only consider the geek of one client in one world
+   * @param {string} [filter.clientId] The client ID
+   * @param {string} [filter.world] The world ID
+   * @returns {Promise<Array<Object>>} The geek rows that were deactivated
+   */
+  async deactivateDisconnected({ clientId, world } = {}) {
+    const result = await this.pool.query(
+      `UPDATE geeks SET active = false, updated_at = NOW()
+       WHERE active = true AND client_id IS NOT NULL
+         AND ($1::text IS NULL OR (client_id = $1 AND world = $2))
+         AND NOT EXISTS (
+           SELECT 1 FROM geek_sessions WHERE geek_sessions.geek_id = geeks.id AND geek_sessions.disconnected_at IS NULL
+         )
+       RETURNING *`,
+      [clientId || null, world || null]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Delete a geek
+   * @param {number} id The geek ID
+   * @returns {Promise<Object|null>} The deleted geek row or null if not found
+   */
+  async deleteGeek(id) {
+    const result = await this.pool.query(
+      'DELETE FROM geeks WHERE id = $1 RETURNING *',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find geeks that have been inactive since before a date, least recently active first
+   * A geek's last activity is its last update, or its creation if it was never updated.
+   * @param {Object} query Query options
+   * @param {Date} query.inactiveBefore Only return geeks last active before this date
+   * @param {boolean} [query.anon] Only return geeks with this anon state
+   * @param {number} [query.limit] Maximum number of geeks to return
+   * @returns {Promise<Array>} Geek rows
+   */
+  async findInactiveGeeks(query) {
+    const { sql, params } = inactiveGeeksQuery(query, '*');
+    const result = await this.pool.query(sql, params);
+    return result.rows;
+  }
+
+  /**
+   * Delete geeks that have been inactive since before a date, least recently active first
+   * @param {Object} query Query options, see findInactiveGeeks
+   * @returns {Promise<Array>} The deleted geek rows
+   */
+  async deleteInactiveGeeks(query) {
+    const { sql, params } = inactiveGeeksQuery(query, 'id');
+    const result = await this.pool.query(`DELETE FROM geeks WHERE id IN (${sql}) AND active = false RETURNING *`, params);
+    return result.rows;
+  }
+
+  /**
+   * Remove all geeks
+   * @returns {Promise<void>}
+   */
+  async truncate() {
+    await this.pool.query('TRUNCATE TABLE geek_sessions, geeks');
+  }
+
+  /**
+   * Record the start of a connection session
+   * @param {Object} session Session data
+   * @param {number} session.geekId The geek that connected
+   * @param {string} session.clientId The client ID of the connection
+   * @param {string} session.instanceId The server instance holding the connection
+   * @returns {Promise<Object>} The session row
+   */
+  async startSession({ geekId, clientId, instanceId }) {
+    const result = await this.pool.query(
+      'INSERT INTO geek_sessions (geek_id, client_id, instance_id, connected_at) VALUES ($1, $2, $3, NOW()) RETURNING *',
+      [geekId, clientId, instanceId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Record the end of a connection session
+   * @param {number} id The session ID
+   * @returns {Promise<Object|null>} The session row or null if it was not open
+   */
+  async endSession(id) {
+    const result = await this.pool.query(
+      'UPDATE geek_sessions SET disconnected_at = NOW() WHERE id = $1 AND disconnected_at IS NULL RETURNING *',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Close the open sessions of a server instance
+   * @param {string} instanceId The instance ID
+   * @param {Array<number>} [keep=[]] IDs of the sessions to leave open
+   * @returns {Promise<number>} Number of sessions closed
+   */
+  async endInstanceSessions(instanceId, keep = []) {
+    const result = await this.pool.query(
+      `UPDATE geek_sessions SET disconnected_at = NOW()
+       WHERE instance_id = $1 AND disconnected_at IS NULL AND NOT (id = ANY($2::integer[]))`,
+      [instanceId, keep]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Forget the server instances that stopped sending heartbeats, and close the sessions
+   * of every instance that is gone, including the sessions without an instance
+   * @param {number} timeout Time without a heartbeat after which an instance is gone, in milliseconds
+   * @returns {Promise<number>} Number of sessions closed
+   */
+  async endOrphanedSessions(timeout) {
+    await this.pool.query(
+      `DELETE FROM server_instances WHERE last_seen_at < NOW() - $1 * INTERVAL '1 millisecond'`,
+      [timeout]
+    );
+
+    const result = await this.pool.query(
+      `UPDATE geek_sessions SET disconnected_at = NOW()
+       WHERE disconnected_at IS NULL AND NOT EXISTS (
+         SELECT 1 FROM server_instances WHERE server_instances.id = geek_sessions.instance_id
+       )`
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Register a server instance or record its heartbeat
+   * @param {string} id The instance ID
+   * @returns {Promise<boolean>} True if the instance wasn't registered, e.g. because it was
+   *   taken for gone and its sessions were closed
+   */
+  async touchInstance(id) {
+    const result = await this.pool.query(
+      `INSERT INTO server_instances (id) VALUES ($1)
+       ON CONFLICT (id) DO UPDATE SET last_seen_at = NOW()
+       RETURNING (xmax = 0) AS created`,
+      [id]
+    );
+    return result.rows[0].created;
+  }
+
+  /**
+   * Unregister a server instance that is shutting down
+   * @param {string} id The instance ID
+   * @returns {Promise<boolean>} True if the instance was registered
+   */
+  async removeInstance(id) {
+    const result = await this.pool.query('DELETE FROM server_instances WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * List the sessions of a geek, newest first
+   * @param {number} geekId The geek ID
+   * @returns {Promise<Array<Object>>} Session rows
+   */
+  async listSessions(geekId) {
+    const result = await this.pool.query(
+      'SELECT * FROM geek_sessions WHERE geek_id = $1 ORDER BY connected_at DESC, id DESC',
+      [geekId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * List the sessions that overlap a time range
+   * @param {Object} range The time range
+   * @param {Date} range.from Start of the range
+   * @param {Date} range.to End of the range
+   * @param {string} [range.world] Only the sessions of the geeks in this world
+   * @returns {Promise<Array<Object>>} Session rows
+   */
+  async listSessionsBetween({ from, to, world }) {
+    if (world) {
+      const result = await this.pool.query(
+        `SELECT geek_sessions.* FROM geek_sessions
+         JOIN geeks ON geeks.id = geek_sessions.geek_id
+         WHERE connected_at < $2 AND (disconnected_at IS NULL OR disconnected_at >= $1) AND geeks.world = $3`,
+        [from, to, world]
+      );
+      return result.rows;
+    }
+
+    const result = await this.pool.query(
+      'SELECT * FROM geek_sessions WHERE connected_at < $2 AND (disconnected_at IS NULL OR disconnected_at >= $1)',
+      [from, to]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Record how many geeks of a world are online on a server instance right now
+   * @param {Object} sample Sample data
+   * @param {string} sample.instanceId The server instance that took the sample
+   * @param {string} sample.world The world ID
+   * @param {number} sample.online Number of geeks online
+   * @param {number} sample.connections Number of open connections
+   * @returns {Promise<Object>} The sample row
+   */
+  async addPresenceSample({ instanceId, world, online, connections }) {
+    const result = await this.pool.query(
+      `INSERT INTO presence_samples (instance_id, world, online, connections, sampled_at)
+       VALUES ($1, $2, $3, $4, NOW()) RETURNING *`,
+      [instanceId, world, online, connections]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * List the presence samples taken in a time range, oldest first
+   * @param {Object} range The time range
+   * @param {Date} range.from Start of the range
+   * @param {Date} range.to End of the range
+   * @param {string} [range.world] Only the samples of this world
+   * @returns {Promise<Array<Object>>} Sample rows
+   */
+  async listPresenceSamples({ from, to, world }) {
+    const result = await this.pool.query(
+      `SELECT * FROM presence_samples
+       WHERE sampled_at >= $1 AND sampled_at < $2 AND ($3::text IS NULL OR world = $3)
+       ORDER BY sampled_at`,
+      [from, to, world || null]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Store an email/password identity for a client
+   * @param {Object} identity The identity
+   * @param {string} identity.clientId The client ID the identity belongs to
+   * @param {string} identity.email The normalized email address
+   * @param {string} identity.passwordHash The password hash
+   * @returns {Promise<Object|null>} The identity row or null if the client or the email already has one
+   */
+  async createIdentity({ clientId, email, passwordHash }) {
+    const result = await this.pool.query(
+      `INSERT INTO local_identities (client_id, email, password_hash) VALUES ($1, $2, $3)
+       ON CONFLICT DO NOTHING
+       RETURNING *`,
+      [clientId, email, passwordHash]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find an identity by email
+   * @param {string} email The normalized email address
+   * @returns {Promise<Object|null>} The identity row or null if not found
+   */
+  async findIdentityByEmail(email) {
+    const result = await this.pool.query('SELECT * FROM local_identities WHERE email = $1', [email]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find the identity of a client
+   * @param {string} clientId The client ID
+   * @returns {Promise<Object|null>} The identity row or null if not found
+   */
+  async findIdentityByClientId(clientId) {
+    const result = await this.pool.query('SELECT * FROM local_identities WHERE client_id = $1', [clientId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Close the connection pool
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+    }
+  }
+}
+
+/**
+ * Build the query selecting inactive geeks
+ * @param {Object} query Query options, see PostgresStorage#findInactiveGeeks
+ * @param {string} columns The columns to select
+ * @returns {Object} The SQL and its parameters ({ sql, params })
+ */
+function inactiveGeeksQuery(query, columns) {
+  const params = [query.inactiveBefore];
+  let sql = `SELECT ${columns} FROM geeks WHERE active = false AND COALESCE(updated_at, created_at) < $1`;
+
+  // A literal rather than a parameter, so the planner can match the partial index on anonymous geeks
+  if (query.anon !== undefined) {
+    sql += query.anon ? ' AND anon = true' : ' AND anon = false';
+  }
+
+  sql += ' ORDER BY COALESCE(updated_at, created_at), id';
+
+  if (query.limit !== undefined) {
+    params.push(query.limit);
+    sql += ` LIMIT $${params.length}`;
+  }
+
+  return { sql, params };
+}
+
+module.exports = { PostgresStorage };
@@ -0,0 +1,128 @@
+/**
+ * Presence in the memory storage
+ * Checks that MemoryStorage follows the same rules as the SQL of PostgresStorage: a geek
+ * stays online while any server instance holds a session for it, and the sessions of
+ * instances that stopped sending heartbeats are closed.
+ */
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { MemoryStorage } = require('../storage/memory');
+
+const INSTANCE_TIMEOUT = 1000;
+
+let storage;
+
+/**
+ * Create the geek of a client in the earth world and open a session for it
+ * @param {string} clientId The client ID
+ * @param {string} instanceId The server instance holding the connection
+ * @returns {Promise<Object>} The geek and session rows ({ geek, session })
+ */
+async function connect(clientId, instanceId) {
+  const { geek } = await storage.spawnGeek({
+    position: { x: 0, y: 3000, z: 0 },
+    size: 25,
+    color: '#4285F4',
+    clientId,
+    anon: true,
+    active: true,
+    world: 'earth'
+  });
+  const session = await storage.startSession({ geekId: geek.id, clientId, instanceId });
+  return { geek, session };
+}
+
+/**
+ * Make a server instance look like it stopped sending heartbeats
+ * @param {string} id The instance ID
+ */
+function silence(id) {
+  storage.instances.get(id).last_seen_at = new Date(Date.now() - 2 * INSTANCE_TIMEOUT);
+}
+
+beforeEach(async () => {
+  storage = new MemoryStorage();
+  await storage.touchInstance('a');
+  await storage.touchInstance('b');
+});
+
+test('touchInstance tells whether the instance was registered', async () => {
+  assert.strictEqual(await storage.touchInstance('a'), false);
+  assert.strictEqual(await storage.touchInstance('c'), true);
+
+  assert.strictEqual(await storage.removeInstance('c'), true);
+  assert.strictEqual(await storage.removeInstance('c'), false);
+  assert.strictEqual(await storage.touchInstance('c'), true);
+});
+
+test('a geek stays online while any instance holds a session for it', async () => {
+  const { geek, session } = await connect('client-1', 'a');
+  const other = await connect('client-1', 'b');
+
+  await storage.endSession(session.id);
+  assert.deepStrictEqual(await storage.deactivateDisconnected(), []);
+  assert.strictEqual((await storage.findById(geek.id)).active, true);
+
+  await storage.endSession(other.session.id);
+  const deactivated = await storage.deactivateDisconnected();
+  assert.deepStrictEqual(deactivated.map(row => row.id), [geek.id]);
+  assert.strictEqual((await storage.findById(geek.id)).active, false);
+});
+
+test('deactivateDisconnected only considers the geek it is given', async () => {
+  const first = await connect('client-1', 'a');
+  const second = await connect('client-2', 'a');
+  await storage.endInstanceSessions('a');
+
+  const deactivated = await storage.deactivateDisconnected({ clientId: 'client-1', world: 'earth' });
+  assert.deepStrictEqual(deactivated.map(row => row.id), [first.geek.id]);
+  assert.strictEqual((await storage.findById(second.geek.id)).active, true);
+});
+
+test('deactivateDisconnected leaves geeks without a client ID alone', async () => {
+  const geek = await storage.createGeek({ position: { x: 0, y: 3000, z: 0 }, size: 25, color: '#4285F4', world: 'earth' });
+
+  assert.deepStrictEqual(await storage.deactivateDisconnected(), []);
+  assert.strictEqual((await storage.findById(geek.id)).active, true);
+});
+
+test('endInstanceSessions closes the sessions of one instance except the ones to keep', async () => {
+  const kept = await connect('client-1', 'a');
+  await connect('client-2', 'a');
+  const elsewhere = await connect('client-3', 'b');
+
+  assert.strictEqual(await storage.endInstanceSessions('a', [kept.session.id]), 1);
+
+  const open = Array.from(storage.sessions.values())
+    .filter(session => !session.disconnected_at)
+    .map(session => session.id);
+  assert.deepStrictEqual(open, [kept.session.id, elsewhere.session.id]);
+});
+
+test('endOrphanedSessions closes the sessions of instances that stopped sending heartbeats', async () => {
+  const live = await connect('client-1', 'a');
+  const orphaned = await connect('client-2', 'b');
+
+  assert.strictEqual(await storage.endOrphanedSessions(INSTANCE_TIMEOUT), 0);
+
+  silence('b');
+  assert.strictEqual(await storage.endOrphanedSessions(INSTANCE_TIMEOUT), 1);
+  assert.strictEqual(storage.instances.has('b'), false);
+  assert.strictEqual(storage.sessions.get(live.session.id).disconnected_at, null);
+  assert.notStrictEqual(storage.sessions.get(orphaned.session.id).disconnected_at, null);
+
+  const deactivated = await storage.deactivateDisconnected();
+  assert.deepStrictEqual(deactivated.map(row => row.id), [orphaned.geek.id]);
+
+  // The instance comes back and has to start its sessions over
+  assert.strictEqual(await storage.touchInstance('b'), true);
+});
+
+test('endOrphanedSessions closes the sessions of removed or unknown instances', async () => {
+  await connect('client-1', 'a');
+  await connect('client-2', null);
+
+  await storage.removeInstance('a');
+  assert.strictEqual(await storage.endOrphanedSessions(INSTANCE_TIMEOUT), 2);
+  assert.strictEqual((await storage.deactivateDisconnected()).length, 2);
+});
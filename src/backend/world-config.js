@@ -0,0 +1,202 @@
+/**
+ * World Configuration
+ * Single source of truth for the shape and look of the worlds. The server uses
+ * it to place new geeks and clients build their world from GET /api/config.
+ */
+
+// Worlds geeks can join, each with its own planet preset from src/frontend/presets.js
+const WORLDS = Object.freeze({
+  earth: Object.freeze({ name: 'Earth', preset: 'earth' }),
+  beach: Object.freeze({ name: 'Beach', preset: 'beach' }),
+  forest: Object.freeze({ name: 'Forest', preset: 'forest' }),
+  snow: Object.freeze({ name: 'Snow Forest', preset: 'snowForest' }),
+  desert: Object.freeze({ name: 'Desert', preset: 'desert' })
+});
+
+// World of clients that don't pick one, and of the geeks created before there were worlds
+const DEFAULT_WORLD = 'earth';
+
+// Settings shared by every world
+const WORLD_CONFIG = Object.freeze({
+  planet: Object.freeze({
+    radius: 3000        // Planet radius, geeks stand on the surface
+  }),
+  palette: Object.freeze([
+    '#4285F4', // Blue
+    '#EA4335', // Red
+    '#FBBC05', // Yellow
+    '#34A853', // Green
+    '#9C27B0', // Purple
+    '#FF9800'  // Orange
+  ]),
+  day_duration: 30 * 60 * 1000, // Full day/night cycle in milliseconds (30 minutes)
+  size: Object.freeze({
+    min: 15,
+    max: 40
+  })
+});
+
+/**
+ * Resolve the world a request asks for
+ * @param {string} [worldId] The requested world ID, the default world if missing
+ * @returns {string|null} The world ID or null if there is no such world
+ */
+function resolveWorldId(worldId) {
+  if (worldId === undefined || worldId === null || worldId === '') {
+    return DEFAULT_WORLD;
+  }
+
+  return Object.prototype.hasOwnProperty.call(WORLDS, worldId) ? worldId : null;
+}
+
+/**
+ * Get the configuration clients build a world from
+ * @param {string} worldId The world ID, see resolveWorldId
+ * @returns {Object} The world configuration ({ world, planet, palette, day_duration, size })
+ */
+function getWorldConfig(worldId) {
+  const world = WORLDS[worldId];
+  return {
+    world: { id: worldId, name: world.name },
+    planet: { ...WORLD_CONFIG.planet, preset: world.preset },
+    palette: WORLD_CONFIG.palette,
+    day_duration: WORLD_CONFIG.day_duration,
+    size: WORLD_CONFIG.size
+  };
+}
+
+/**
+ * Pick the position, size and color of a new geek
+ * @param {Object} [config=WORLD_CONFIG] The world configuration
+ * @returns {Object} Geek attributes ({ position, size, color })
+ */
+function randomGeekAttributes(config = WORLD_CONFIG) {
+  return {
+    position: randomSurfacePosition(config),
+    size: Math.floor(config.size.min + Math.random() * (config.size.max - config.size.min)),
+    color: config.palette[Math.floor(Math.random() * config.palette.length)]
+  };
+}
+
+/**
+ * Generate a random position on the planet surface
+ * @param {Object} [config=WORLD_CONFIG] The world configuration
+ * @returns {Object} Position object with x, y, z coordinates
+ */
+function randomSurfacePosition(config = WORLD_CONFIG) {
+  // Generate random spherical coordinates
+  const radius = config.planet.radius;
+  const theta = Math.random() * Math.PI * 2; // Longitude (0 to 2π)
+  const phi = Math.acos(2 * Math.random() - 1); // Latitude (0 to π)
+
+  // Convert to Cartesian coordinates
+  return {
+    x: radius * Math.sin(phi) * Math.cos(theta),
+    y: radius * Math.sin(phi) * Math.sin(theta),
+    z: radius * Math.cos(phi)
+  };
+}
+
+/**
+ * Project a client supplied position onto the planet surface
+ * @param {Object} position Position {x, y, z} (any length)
+ * @param {Object} [config=WORLD_CONFIG] The world configuration
+ * @returns {Object|null} The position on the surface or null if invalid
+ */
+function projectToSurface(position, config = WORLD_CONFIG) {
+  if (!position || typeof position !== 'object') {
+    return null;
+  }
+
+  const { x, y, z } = position;
+  if (![x, y, z].every(Number.isFinite)) {
+    return null;
+  }
+
+  const length = Math.sqrt(x * x + y * y + z * z);
+  if (length === 0) {
+    return null;
+  }
+
+  const radius = config.planet.radius;
+  return {
+    x: (x / length) * radius,
+    y: (y / length) * radius,
+    z: (z / length) * radius
+  };
+}
+
+/**
+ * Distance between two positions measured along the planet surface
+ * @param {Object} a Position {x, y, z}
+ * @param {Object} b Position {x, y, z}
+ * @param {Object} [config=WORLD_CONFIG] The world configuration
+ * @returns {number} The great-circle distance, Infinity if a position is invalid
+ */
+function greatCircleDistance(a, b, config = WORLD_CONFIG) {
+  const lengthA = Math.sqrt(a.x * a.x + a.y * a.y + a.z * a.z);
+  const lengthB = Math.sqrt(b.x * b.x + b.y * b.y + b.z * b.z);
+  if (!(lengthA > 0 && lengthB > 0)) {
+    return Infinity;
+  }
+
+  // Clamp rounding errors, acos is undefined outside [-1, 1]
+  const cosine = (a.x * b.x + a.y * b.y + a.z * b.z) / (lengthA * lengthB);
+  return config.planet.radius * Math.acos(Math.min(1, Math.max(-1, cosine)));
+}
+
+/**
+ * Move from a position towards another along the planet surface, at most a given distance
+ * @param {Object} from Position {x, y, z} on the surface
+ * @param {Object} to Position {x, y, z} on the surface
+ * @param {number} maxDistance The longest great-circle distance to cover
+ * @param {Object} [config=WORLD_CONFIG] The world configuration
+ * @returns {Object} The position reached, `to` if it is close enough
+ */
+function moveTowards(from, to, maxDistance, config = WORLD_CONFIG) {
+  const radius = config.planet.radius;
+  const angle = greatCircleDistance(from, to, config) / radius;
+  if (angle * radius <= maxDistance) {
+    return to;
+  }
+
+  // Opposite points have no single great circle between them, stay put
+  const sine = Math.sin(angle);
+  if (sine < 1e-6) {
+    return from;
+  }
+
+  // Spherical interpolation between the two directions
+  const t = maxDistance / (angle * radius);
+  const weightFrom = Math.sin((1 - t) * angle) / sine;
+  const weightTo = Math.sin(t * angle) / sine;
+  return projectToSurface({
+    x: from.x * weightFrom + to.x * weightTo,
+    y: from.y * weightFrom + to.y * weightTo,
+    z: from.z * weightFrom + to.z * weightTo
+  }, config);
+}
+
+/**
+ * Keep a size within the configured range
+ * @param {number} size The requested size
+ * @param {Object} [config=WORLD_CONFIG] The world configuration
+ * @returns {number} The clamped size
+ */
+function clampSize(size, config = WORLD_CONFIG) {
+  return Math.min(config.size.max, Math.max(config.size.min, size));
+}
+
+module.exports = {
+  WORLDS,
+  DEFAULT_WORLD,
+  WORLD_CONFIG,
+  resolveWorldId,
+  getWorldConfig,
+  randomGeekAttributes,
+  randomSurfacePosition,
+  projectToSurface,
+  greatCircleDistance,
+  moveTowards,
+  clampSize
+};
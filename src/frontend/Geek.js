@@ -22,6 +22,7 @@ export class Geek {
      * @param {number} options.planetRadius - Radius of the planet
      * @param {boolean} [options.active=true] - Whether the geek is active (online)
      * @param {boolean} [options.anon=false] - Whether the geek is anonymous
+     * @param {number} [options.connections=0] - Number of tabs/devices the geek is connected from
      */
     constructor(options) {
         
@@ -30,6 +31,7 @@ export class Geek {
         this.size = options.size;
         this.active = options.active !== undefined ? options.active : true;
         this.anon = options.anon !== undefined ? options.anon : false;
+        this.connections = options.connections || 0;
         
         
         // Handle different color formats
@@ -49,7 +51,7 @@ export class Geek {
         }
         
         // Store the planet radius
-        this.planetRadius = options.planetRadius || 3000;
+        this.planetRadius = options.planetRadius;
         
         this.scene = options.scene;
         this.cameraY = options.cameraY || 12000;
@@ -59,6 +61,8 @@ export class Geek {
         this.floatAmplitude = 5 + Math.random() * 5;
         this.floatOffset = Math.random() * Math.PI * 2;
         this.isFloating = false; // Start with floating disabled until physics simulation completes
+        this.wanders = true; // Cleared once a user walks the geek around
+        this.remoteTarget = null; // Direction of the position received from the server, if still on the way
         
         // Physics properties for falling onto the planet
         // Calculate a random starting position high above the planet
@@ -551,7 +555,7 @@ export class Geek {
      */
     initializeWandering() {
         this.wandering = {
-            active: Math.random() < 0.7, // 70% chance to start wandering
+            active: this.wanders && Math.random() < 0.7, // 70% chance to start wandering
             basePosition: new THREE.Vector3(this.position.x, this.position.y, this.position.z),
             maxDistance: this.size * (5 + Math.random() * 3), // 5-8 times the size (increased for larger planet)
             direction: new THREE.Vector3(Math.random() - 0.5, 0, Math.random() - 0.5).normalize(),
@@ -690,6 +694,78 @@ export class Geek {
         this.mesh.quaternion.slerp(quaternion, 0.1);
     }
     
+    /**
+     * Stop wandering for good, the geek's user moves it around instead
+     */
+    stopWandering() {
+        this.wanders = false;
+        if (this.wandering) {
+            this.wandering.active = false;
+        }
+    }
+    
+    /**
+     * Walk along the planet surface
+     * @param {THREE.Vector3} direction Direction to walk in, only the part along the surface is used
+     * @param {number} distance Distance to walk
+     */
+    walk(direction, distance) {
+        // Geeks walk once they have landed
+        if (this.isSimulating || !this.wandering) return;
+        
+        const alongSurface = direction.clone().addScaledVector(this.normal, -direction.dot(this.normal));
+        if (alongSurface.lengthSq() === 0) return;
+        alongSurface.normalize();
+        
+        // Step in the tangent plane, then back onto the sphere
+        const newPosition = new THREE.Vector3(this.position.x, this.position.y, this.position.z)
+            .addScaledVector(alongSurface, distance)
+            .normalize()
+            .multiplyScalar(this.planetRadius + this.size * 0.5);
+        
+        this.position.x = newPosition.x;
+        this.position.y = newPosition.y;
+        this.position.z = newPosition.z;
+        
+        // Wander around the new spot if wandering resumes
+        this.wandering.basePosition.copy(newPosition);
+        
+        // Update normal and tangent space at the new position, and face the way we walk
+        this.createTangentSpace();
+        this.wandering.direction.set(alongSurface.dot(this.tangent1), 0, alongSurface.dot(this.tangent2)).normalize();
+        this.orientToMovement();
+    }
+    
+    /**
+     * Glide to a position received from the server
+     * @param {Object} position Position {x, y, z}
+     */
+    moveTo(position) {
+        this.stopWandering();
+        this.remoteTarget = new THREE.Vector3(position.x, position.y, position.z).normalize();
+    }
+    
+    /**
+     * Close in on the position received from the server
+     * Covers most of the remaining distance every fraction of a second, so the
+     * geek moves smoothly between position updates.
+     * @param {number} deltaTime Time since last update in seconds
+     */
+    updateRemoteMovement(deltaTime) {
+        if (!this.remoteTarget || this.isSimulating) return;
+        
+        const position = new THREE.Vector3(this.position.x, this.position.y, this.position.z);
+        const target = this.remoteTarget.clone().multiplyScalar(this.planetRadius + this.size * 0.5);
+        const distance = position.distanceTo(target);
+        
+        if (distance < 0.5) {
+            this.remoteTarget = null;
+            return;
+        }
+        
+        this.walk(target.sub(position), distance * (1 - Math.exp(-deltaTime * 8)));
+    }
+    
     /**
      * Animate the entry of this geek
      */
@@ -897,8 +973,9 @@ export class Geek {
     
     /**
      * Make the water drop look surprised
+     * @param {number} [duration] Time before the face relaxes, in milliseconds. Stays surprised if not set
      */
-    lookSurprised() {
+    lookSurprised(duration) {
         // Check if mesh exists
         if (!this.mesh) {
             console.warn('Cannot look surprised: mesh is null');
@@ -938,6 +1015,44 @@ export class Geek {
                 .easing(TWEEN.Easing.Cubic.Out)
                 .start();
         }
+        
+        if (duration === undefined) return;
+        
+        // Relax the face again
+        [leftEye, rightEye, mouth].forEach(part => {
+            if (!part.scale) return;
+            
+            new TWEEN.Tween(part.scale)
+                .to({ y: 1, x: 1, z: 1 }, 300)
+                .delay(300 + duration)
+                .easing(TWEEN.Easing.Cubic.InOut)
+                .start();
+        });
+    }
+    
+    /**
+     * Play an emote sent by the geek's user
+     * @param {string} name The emote, one of the protocol EMOTES
+     */
+    playEmote(name) {
+        if (!this.mesh) return;
+        
+        switch (name) {
+            case 'wiggle':
+                this.wiggleHappily();
+                break;
+            case 'surprised':
+                this.lookSurprised(1000);
+                break;
+            case 'blink':
+                this.blinkEyes();
+                break;
+            case 'splash':
+                this.createSplashEffect();
+                break;
+            default:
+                console.warn(`Unknown emote: ${name}`);
+        }
     }
     
     /**
@@ -1042,6 +1157,139 @@ export class Geek {
             .start();
     }
     
+    /**
+     * Show a speech bubble above the geek that fades out after a while
+     * Replaces the bubble of the previous message, if it is still shown.
+     * @param {string} text The message
+     * @param {number} [duration=5000] Time the bubble stays fully visible, in milliseconds
+     */
+    showSpeechBubble(text, duration = 5000) {
+        if (!this.mesh) return;
+        
+        this.hideSpeechBubble();
+        
+        const texture = new THREE.CanvasTexture(this.drawSpeechBubble(text));
+        texture.colorSpace = THREE.SRGBColorSpace;
+        
+        // Keep the bubble the same size on screen at any zoom level
+        const material = new THREE.SpriteMaterial({
+            map: texture,
+            transparent: true,
+            depthWrite: false,
+            sizeAttenuation: false
+        });
+        
+        // Sprite units are fractions of the view height, this is roughly one pixel per CSS pixel
+        const bubble = new THREE.Sprite(material);
+        const height = texture.image.height * 0.0006;
+        bubble.scale.set(height * texture.image.width / texture.image.height, height, 1);
+        
+        // Anchor the bubble's tail just above the top of the drop
+        bubble.center.set(0.5, 0);
+        bubble.position.y = this.size * 1.6;
+        bubble.renderOrder = 10;
+        
+        // Added last so the body, eyes and mouth keep their child indices
+        this.mesh.add(bubble);
+        this.speechBubble = bubble;
+        
+        this.speechBubbleTween = new TWEEN.Tween(material)
+            .to({ opacity: 0 }, 1000)
+            .delay(duration)
+            .easing(TWEEN.Easing.Quadratic.In)
+            .onComplete(() => this.hideSpeechBubble())
+            .start();
+    }
+    
+    /**
+     * Remove the speech bubble, if any
+     */
+    hideSpeechBubble() {
+        if (this.speechBubbleTween) {
+            this.speechBubbleTween.stop();
+            this.speechBubbleTween = null;
+        }
+        
+        if (this.speechBubble) {
+            this.speechBubble.removeFromParent();
+            this.speechBubble.material.map.dispose();
+            this.speechBubble.material.dispose();
+            this.speechBubble = null;
+        }
+    }
+    
+    /**
+     * Draw a speech bubble with word wrapped text
+     * @param {string} text The message
+     * @returns {HTMLCanvasElement} The canvas, at twice the CSS pixel size for sharp text
+     */
+    drawSpeechBubble(text) {
+        const scale = 2;
+        const fontSize = 14 * scale;
+        const lineHeight = 18 * scale;
+        const padding = 8 * scale;
+        const tailHeight = 8 * scale;
+        const maxTextWidth = 220 * scale;
+        const font = `bold ${fontSize}px Arial, sans-serif`;
+        
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        context.font = font;
+        
+        // Wrap the text into lines that fit the bubble, breaking long words if needed
+        const lines = [];
+        let line = '';
+        text.split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (context.measureText(candidate).width <= maxTextWidth) {
+                line = candidate;
+                return;
+            }
+            
+            if (line) lines.push(line);
+            line = '';
+            for (const char of word) {
+                if (context.measureText(line + char).width > maxTextWidth) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += char;
+            }
+        });
+        if (line) lines.push(line);
+        
+        const textWidth = Math.max(...lines.map(current => context.measureText(current).width));
+        const width = Math.ceil(textWidth + padding * 2);
+        const height = lines.length * lineHeight + padding * 2;
+        
+        canvas.width = width;
+        canvas.height = height + tailHeight;
+        
+        // Rounded box with a tail pointing down at the geek
+        const radius = 10 * scale;
+        context.fillStyle = 'rgba(255, 255, 255, 0.92)';
+        context.strokeStyle = `#${this.color.getHexString()}`;
+        context.lineWidth = 2 * scale;
+        context.beginPath();
+        context.roundRect(context.lineWidth / 2, context.lineWidth / 2, width - context.lineWidth, height - context.lineWidth, radius);
+        context.moveTo(width / 2 - tailHeight, height - context.lineWidth);
+        context.lineTo(width / 2, height + tailHeight - context.lineWidth);
+        context.lineTo(width / 2 + tailHeight, height - context.lineWidth);
+        context.fill();
+        context.stroke();
+        
+        // Resizing the canvas reset the context
+        context.font = font;
+        context.fillStyle = '#222222';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        lines.forEach((current, index) => {
+            context.fillText(current, width / 2, padding + lineHeight * (index + 0.5));
+        });
+        
+        return canvas;
+    }
+    
     /**
      * Update this geek
      * @param {number} deltaTime Time since last update in seconds
@@ -1051,6 +1299,7 @@ export class Geek {
         if (this.isSimulating) {
             this.updatePhysics(deltaTime);
         } else {
+            this.updateRemoteMovement(deltaTime);
             this.updateFloating(time);
             
             // If we still have a comet tail after landing, remove it
@@ -1092,6 +1341,9 @@ export class Geek {
      * Remove this geek from the scene
      */
     remove() {
+        // The bubble's texture isn't disposed with the mesh
+        this.hideSpeechBubble();
+        
         if (this.mesh) {
             // Remove from scene
             this.scene.remove(this.mesh);
@@ -1709,7 +1961,7 @@ export class Geek {
                     // If we can't find a specific body mesh, try updating all child meshes
                     let updated = false;
                     this.mesh.children.forEach(child => {
-                        if (child.material && child.material.color) {
+                        if (child.isMesh && child.material && child.material.color) {
                             child.material.color = newColor;
                             updated = true;
                         }
@@ -17,6 +17,7 @@ import { setDebug } from './helper/debug';
  * @property {number} [scatter=1.2] - Amount of vertex scatter for natural variation
  * @property {number} [ground=0] - Base ground level
  * @property {number} [detail=50] - Level of geometric detail (triangle count)
+ * @property {number} radius - Planet radius in world units
  * @property {Object} [atmosphere] - Atmosphere settings
  * @property {'normal'|'caustics'} [material='normal'] - Material type to use
  * @property {Object} [biome] - Biome configuration
@@ -132,7 +133,7 @@ export class Planet {
                 }
 
                 // Set planet scale and position
-                const planetRadius = 3000;
+                const planetRadius = this.options.radius;
                 this.mesh.scale.set(planetRadius, planetRadius, planetRadius);
                 this.mesh.position.set(0, 0, 0);
 
@@ -178,8 +179,10 @@ export class Planet {
     }
 
     createAtmosphereMesh(geometry) {
+        // Presets describe the color as { r, g, b }
+        const color = this.options.atmosphere.color;
         const atmosphereMaterial = createAtmosphereMaterial({
-            color: this.options.atmosphere.color || new THREE.Vector3(0.5, 0.7, 1.0),
+            color: color ? new THREE.Vector3(color.r ?? color.x, color.g ?? color.y, color.b ?? color.z) : new THREE.Vector3(0.5, 0.7, 1.0),
             height: this.options.atmosphere.height || 0.15,  // Increased height
             density: 1.5,  // Added density parameter
             glowStrength: 1.2,  // Added glow strength
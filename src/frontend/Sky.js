@@ -26,7 +26,7 @@ export class Sky {
             sunset: 0xFFA07A,  // Light salmon
             night: 0x000033    // Dark blue
         };
-        this.dayDuration = options.dayDuration || 30 * 60 * 1000; // 30 minutes by default
+        this.dayDuration = options.dayDuration;
         this.starsTexturePath = options.starsTexturePath || 'assets/textures/stars.jpg';
         this.moonTexturePath = options.moonTexturePath || 'assets/textures/moon.jpg';
         
@@ -0,0 +1,194 @@
+/**
+ * Account Panel Module
+ * Lets anonymous visitors attach an email and password to their geek,
+ * and registered visitors sign in on another device or sign out
+ */
+import { linkAccount, signInWithPassword, signOut, getAccountEmail } from './supabase-client.js';
+
+export class AccountPanel {
+    /**
+     * Create the panel inside the user info box
+     */
+    constructor() {
+        this.anon = true;
+        this.mode = 'link'; // 'link' creates an account for the current geek, 'login' signs in to another one
+        this.expanded = false;
+        
+        this.createElements();
+    }
+    
+    /**
+     * Add the toggle, the form and the account line to the user info box
+     */
+    createElements() {
+        const userInfo = document.getElementById('user-info');
+        if (!userInfo) {
+            console.warn('AccountPanel: #user-info element not found');
+            return;
+        }
+        
+        this.toggle = document.createElement('p');
+        this.toggle.id = 'account-toggle';
+        this.toggle.addEventListener('click', () => this.setExpanded(!this.expanded));
+        
+        this.form = document.createElement('form');
+        this.form.id = 'account-form';
+        this.form.style.display = 'none';
+        
+        this.emailInput = document.createElement('input');
+        this.emailInput.type = 'email';
+        this.emailInput.placeholder = 'Email';
+        this.emailInput.autocomplete = 'email';
+        this.emailInput.required = true;
+        
+        this.passwordInput = document.createElement('input');
+        this.passwordInput.type = 'password';
+        this.passwordInput.placeholder = 'Password (8+ characters)';
+        this.passwordInput.minLength = 8;
+        this.passwordInput.required = true;
+        
+        this.submitButton = document.createElement('button');
+        this.submitButton.type = 'submit';
+        
+        this.switchLink = document.createElement('a');
+        this.switchLink.href = '#';
+        this.switchLink.addEventListener('click', (event) => {
+            event.preventDefault();
+            this.setMode(this.mode === 'link' ? 'login' : 'link');
+        });
+        
+        this.message = document.createElement('div');
+        this.message.id = 'account-message';
+        
+        this.form.append(this.emailInput, this.passwordInput, this.submitButton, this.switchLink, this.message);
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.submit();
+        });
+        
+        // Typing in the form shouldn't trigger the world's keyboard shortcuts
+        this.form.addEventListener('keydown', (event) => event.stopPropagation());
+        this.form.addEventListener('keyup', (event) => event.stopPropagation());
+        
+        this.account = document.createElement('p');
+        this.account.id = 'account-email';
+        this.account.style.display = 'none';
+        
+        this.signOutLink = document.createElement('a');
+        this.signOutLink.href = '#';
+        this.signOutLink.textContent = 'Sign out';
+        this.signOutLink.addEventListener('click', async (event) => {
+            event.preventDefault();
+            await signOut();
+            window.location.reload();
+        });
+        
+        userInfo.appendChild(this.toggle);
+        userInfo.appendChild(this.form);
+        userInfo.appendChild(this.account);
+        
+        this.setMode('link');
+    }
+    
+    /**
+     * Show the options that fit the current geek
+     * @param {boolean} anon - Whether the current geek is anonymous
+     */
+    update(anon) {
+        if (!this.toggle) {
+            return;
+        }
+        
+        this.anon = anon;
+        this.toggle.style.display = anon ? 'block' : 'none';
+        this.form.style.display = anon && this.expanded ? 'block' : 'none';
+        this.account.style.display = anon ? 'none' : 'block';
+        
+        if (!anon) {
+            const email = getAccountEmail();
+            this.account.textContent = email ? `Signed in as ${email} ` : 'Signed in ';
+            this.account.appendChild(this.signOutLink);
+        }
+    }
+    
+    /**
+     * Expand or collapse the form
+     * @param {boolean} expanded - Whether the form should be shown
+     */
+    setExpanded(expanded) {
+        this.expanded = expanded;
+        this.form.style.display = expanded ? 'block' : 'none';
+        this.setMode(this.mode);
+        
+        if (expanded) {
+            this.emailInput.focus();
+        }
+    }
+    
+    /**
+     * Switch between creating an account and signing in to an existing one
+     * @param {string} mode - 'link' or 'login'
+     */
+    setMode(mode) {
+        this.mode = mode;
+        const arrow = this.expanded ? '▾' : '▸';
+        
+        if (mode === 'link') {
+            this.toggle.textContent = `Create account to keep your geek ${arrow}`;
+            this.submitButton.textContent = 'Create account';
+            this.switchLink.textContent = 'I already have an account';
+            this.passwordInput.autocomplete = 'new-password';
+        } else {
+            this.toggle.textContent = `Sign in ${arrow}`;
+            this.submitButton.textContent = 'Sign in';
+            this.switchLink.textContent = 'Create a new account';
+            this.passwordInput.autocomplete = 'current-password';
+        }
+        
+        this.showMessage('');
+    }
+    
+    /**
+     * Send the form to the server
+     */
+    async submit() {
+        const email = this.emailInput.value;
+        const password = this.passwordInput.value;
+        
+        this.submitButton.disabled = true;
+        this.showMessage(this.mode === 'link' ? 'Creating account...' : 'Signing in...');
+        
+        try {
+            if (this.mode === 'link') {
+                // The server flips our geek to registered and tells every client
+                const { confirmationPending } = await linkAccount(email, password);
+                this.passwordInput.value = '';
+                if (confirmationPending) {
+                    // Our geek is registered the next time we connect after confirming
+                    this.showMessage(`Follow the link sent to ${email} to confirm your account, then reload`);
+                    return;
+                }
+                this.expanded = false;
+                this.update(false);
+            } else {
+                // Signing in switches to the account's geek, which needs a fresh start
+                await signInWithPassword(email, password);
+                window.location.reload();
+            }
+        } catch (error) {
+            this.showMessage(error.message, true);
+        } finally {
+            this.submitButton.disabled = false;
+        }
+    }
+    
+    /**
+     * Show a status or error message below the form
+     * @param {string} text - The message
+     * @param {boolean} [isError=false] - Whether the message is an error
+     */
+    showMessage(text, isError = false) {
+        this.message.textContent = text;
+        this.message.style.color = isError ? '#EA4335' : 'rgba(255, 255, 255, 0.7)';
+    }
+}
@@ -18,13 +18,75 @@ export class ApiClient {
     console.log(`API client initialized with base URL: ${this.baseUrl}`);
   }
   
+  /**
+   * Build the request headers, including the admin key if one is stored
+   * @returns {Object} The request headers
+   */
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+    
+    const adminKey = localStorage.getItem('admin_key');
+    if (adminKey) {
+      headers['X-Admin-Key'] = adminKey;
+    }
+    
+    return headers;
+  }
+  
+  /**
+   * Check whether the stored admin key grants admin access
+   * @returns {Promise<boolean>} True if the current visitor is an admin
+   */
+  async isAdmin() {
+    if (!localStorage.getItem('admin_key')) {
+      return false;
+    }
+    
+    try {
+      const response = await fetch(`${this.baseUrl}/api/auth/admin`, {
+        headers: this.getHeaders()
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}`);
+      }
+      const data = await response.json();
+      return data.admin === true;
+    } catch (error) {
+      console.error('Error checking admin access:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Get the configuration of a world (planet, palette, geek sizes and day length)
+   * @param {string} [world] - The world ID, the server's default world if missing
+   * @returns {Promise<Object>} The world configuration
+   */
+  async getConfig(world) {
+    try {
+      const query = world ? `?world=${encodeURIComponent(world)}` : '';
+      const response = await fetch(`${this.baseUrl}/api/config${query}`);
+      if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching world config:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Get active user count
+   * @param {string} [world] - The world ID, the server's default world if missing
    * @returns {Promise<Object>} Response with totalUsers property
    */
-  async getStats() {
+  async getStats(world) {
     try {
-      const response = await fetch(`${this.baseUrl}/api/stats`);
+      const query = world ? `?world=${encodeURIComponent(world)}` : '';
+      const response = await fetch(`${this.baseUrl}/api/stats${query}`);
       if (!response.ok) {
         throw new Error(`HTTP error ${response.status}`);
       }
@@ -36,18 +98,40 @@ export class ApiClient {
   }
   
   /**
-   * Add a random user
+   * Get the online count history
+   * @param {Object} [options] History options
+   * @param {string} [options.world] The world ID, every world if missing
+   * @param {string} [options.from] Start of the range (ISO date), defaults to 24 hours ago
+   * @param {string} [options.to] End of the range (ISO date), defaults to now
+   * @param {string} [options.bucket] Bucket size like '15m' or '1h'
+   * @returns {Promise<Object>} Response with one entry per bucket
+   */
+  async getStatsHistory(options = {}) {
+    try {
+      const params = new URLSearchParams(options);
+      const response = await fetch(`${this.baseUrl}/api/stats/history?${params}`);
+      if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching stats history:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Add a random user (admin only)
    * @param {Object} options - Options for the random user
    * @param {string} [options.client_id] - Client ID to associate with the user
+   * @param {string} [options.world] - World to add the user to
    * @returns {Promise<Object>} Response with the new user data
    */
   async addRandomUser(options = {}) {
     try {
       const response = await fetch(`${this.baseUrl}/api/users/random`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
+        headers: this.getHeaders(),
         body: JSON.stringify(options)
       });
       
@@ -63,16 +147,14 @@ export class ApiClient {
   }
   
   /**
-   * Remove all users
+   * Remove all users (admin only)
    * @returns {Promise<Object>} Response with success status
    */
   async truncateUsers() {
     try {
       const response = await fetch(`${this.baseUrl}/api/truncate-users`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        }
+        headers: this.getHeaders()
       });
       
       if (!response.ok) {
@@ -96,14 +178,14 @@ export class ApiClient {
     try {
       const response = await fetch(`${this.baseUrl}${endpoint}`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
+        headers: this.getHeaders(),
         body: JSON.stringify(data)
       });
       
       if (!response.ok) {
-        throw new Error(`HTTP error ${response.status}`);
+        // Pass on the server's explanation when it gives one
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `HTTP error ${response.status}`);
       }
       
       return await response.json();
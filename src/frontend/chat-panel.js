@@ -0,0 +1,157 @@
+/**
+ * Chat Panel Module
+ * Local chat log and message input, for talking to the geeks nearby
+ */
+import { CHAT_MAX_LENGTH } from '../shared/protocol.mjs';
+
+// Oldest entries are dropped beyond this many
+const MAX_ENTRIES = 50;
+
+export class ChatPanel {
+    /**
+     * Create the panel in the bottom left corner
+     * @param {Function} onSend - Called with the text of each message the user sends
+     */
+    constructor(onSend) {
+        this.onSend = onSend;
+        
+        this.createElements();
+    }
+    
+    /**
+     * Add the log and the input to the page
+     */
+    createElements() {
+        const container = document.getElementById('container');
+        if (!container) {
+            console.warn('ChatPanel: #container element not found');
+            return;
+        }
+        
+        this.element = document.createElement('div');
+        this.element.id = 'chat';
+        
+        this.log = document.createElement('div');
+        this.log.id = 'chat-log';
+        
+        this.form = document.createElement('form');
+        this.form.id = 'chat-form';
+        
+        this.input = document.createElement('input');
+        this.input.type = 'text';
+        this.input.placeholder = 'Press Enter to chat with geeks nearby';
+        this.input.maxLength = CHAT_MAX_LENGTH;
+        this.input.autocomplete = 'off';
+        
+        this.form.appendChild(this.input);
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.submit();
+        });
+        
+        // Typing a message shouldn't trigger the world's keyboard shortcuts
+        this.input.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            if (event.key === 'Escape') {
+                this.input.blur();
+            }
+        });
+        this.input.addEventListener('keyup', (event) => event.stopPropagation());
+        
+        // Enter anywhere else starts a message
+        window.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && document.activeElement === document.body) {
+                event.preventDefault();
+                this.input.focus();
+            }
+        });
+        
+        this.element.append(this.log, this.form);
+        container.appendChild(this.element);
+    }
+    
+    /**
+     * Send the typed message
+     */
+    submit() {
+        const text = this.input.value.trim();
+        if (text) {
+            this.onSend(text);
+        }
+        
+        this.input.value = '';
+        this.input.blur();
+    }
+    
+    /**
+     * Add a message to the log
+     * @param {string} author - Who sent the message
+     * @param {string} text - The message
+     * @param {Object} [options] - Entry options
+     * @param {string} [options.color] - Color of the author's name
+     * @param {Date} [options.time=new Date()] - When the message was sent
+     */
+    addMessage(author, text, options = {}) {
+        const entry = this.createEntry(options.time);
+        
+        const name = document.createElement('span');
+        name.className = 'chat-author';
+        name.textContent = `${author}: `;
+        if (options.color) {
+            name.style.color = options.color;
+        }
+        
+        entry.append(name, document.createTextNode(text));
+        this.appendEntry(entry);
+    }
+    
+    /**
+     * Add a notice, such as a rejected message, to the log
+     * @param {string} text - The notice
+     */
+    addNotice(text) {
+        const entry = this.createEntry();
+        entry.classList.add('chat-notice');
+        entry.appendChild(document.createTextNode(text));
+        this.appendEntry(entry);
+    }
+    
+    /**
+     * Create a log entry starting with its time
+     * @param {Date} [time=new Date()] - The time shown on the entry
+     * @returns {HTMLElement} The entry
+     */
+    createEntry(time = new Date()) {
+        const entry = document.createElement('div');
+        entry.className = 'chat-entry';
+        
+        const timestamp = document.createElement('span');
+        timestamp.className = 'chat-time';
+        timestamp.textContent = time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        entry.appendChild(timestamp);
+        
+        return entry;
+    }
+    
+    /**
+     * Append an entry, dropping the oldest ones and following new messages
+     * @param {HTMLElement} entry - The entry
+     */
+    appendEntry(entry) {
+        if (!this.log) {
+            return;
+        }
+        
+        // Only follow new messages if the user hasn't scrolled up to read older ones
+        const atBottom = this.log.scrollHeight - this.log.scrollTop - this.log.clientHeight < 10;
+        
+        this.log.appendChild(entry);
+        while (this.log.childElementCount > MAX_ENTRIES) {
+            this.log.firstElementChild.remove();
+        }
+        
+        if (atBottom) {
+            this.log.scrollTop = this.log.scrollHeight;
+        }
+    }
+}
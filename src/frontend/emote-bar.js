@@ -0,0 +1,86 @@
+/**
+ * Emote Bar Module
+ * Buttons and number key hotkeys that make the user's geek play an emote on every client
+ */
+import { EMOTES } from '../shared/protocol.mjs';
+
+// Button label and description of each emote, the hotkey is its position in the bar
+const EMOTE_LABELS = {
+    wiggle: { icon: '😊', title: 'Wiggle happily' },
+    surprised: { icon: '😮', title: 'Look surprised' },
+    blink: { icon: '😉', title: 'Blink' },
+    splash: { icon: '💦', title: 'Splash' }
+};
+
+export class EmoteBar {
+    /**
+     * Create the bar at the bottom of the screen
+     * @param {Function} onEmote - Called with the name of each emote the user picks
+     */
+    constructor(onEmote) {
+        this.onEmote = onEmote;
+        
+        this.createElements();
+        this.setupHotkeys();
+    }
+    
+    /**
+     * Add a button for each emote to the page
+     */
+    createElements() {
+        const container = document.getElementById('container');
+        if (!container) {
+            console.warn('EmoteBar: #container element not found');
+            return;
+        }
+        
+        this.element = document.createElement('div');
+        this.element.id = 'emote-bar';
+        
+        EMOTES.forEach((name, index) => {
+            const label = EMOTE_LABELS[name] || { icon: name, title: name };
+            
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'emote-button';
+            button.title = `${label.title} (${index + 1})`;
+            button.textContent = label.icon;
+            button.addEventListener('click', () => {
+                this.onEmote(name);
+                
+                // Keep the focus off the button so Enter still opens the chat
+                button.blur();
+            });
+            
+            const hotkey = document.createElement('span');
+            hotkey.className = 'emote-hotkey';
+            hotkey.textContent = index + 1;
+            button.appendChild(hotkey);
+            
+            this.element.appendChild(button);
+        });
+        
+        container.appendChild(this.element);
+    }
+    
+    /**
+     * Play the emotes with the number keys, unless the user is typing
+     */
+    setupHotkeys() {
+        window.addEventListener('keydown', (event) => {
+            if (event.repeat || event.shiftKey || event.ctrlKey || event.altKey || event.metaKey) {
+                return;
+            }
+            
+            const tag = document.activeElement && document.activeElement.tagName;
+            if (tag === 'INPUT' || tag === 'TEXTAREA') {
+                return;
+            }
+            
+            const name = EMOTES[parseInt(event.key, 10) - 1];
+            if (name) {
+                this.onEmote(name);
+            }
+        });
+    }
+}
@@ -0,0 +1,76 @@
+/**
+ * Event Stream Client
+ * Follows presence over Server-Sent Events when WebSockets are blocked.
+ * The stream is read-only: it delivers the same messages as the WebSocket,
+ * which are handed back to the WebSocketClient for processing.
+ */
+export class EventStreamClient {
+  /**
+   * Create a new event stream client
+   * @param {WebSocketClient} wsClient The WebSocket client whose handlers process the messages
+   */
+  constructor(wsClient) {
+    this.wsClient = wsClient;
+    this.source = null;
+    this.reconnectDelay = 1000;
+    this.reconnectTimer = null;
+    
+    this.connect();
+  }
+  
+  /**
+   * Open the event stream, resuming after the last event we applied
+   */
+  connect() {
+    // Determine if we're in development mode (Vite uses port 5173 by default)
+    const isDev = window.location.port === '5173';
+    
+    // In development, connect to the backend server on port 3000
+    // In production, connect to the same host
+    const host = isDev ? 'localhost:3000' : window.location.host;
+    
+    const { lastSeq, epoch } = this.wsClient;
+    const params = new URLSearchParams({ world: this.wsClient.world.worldId });
+    if (lastSeq !== null) {
+      params.set('since', lastSeq);
+      params.set('epoch', epoch);
+    }
+    
+    this.source = new EventSource(`${window.location.protocol}//${host}/api/events?${params}`);
+    
+    this.source.onopen = () => {
+      this.reconnectDelay = 1000;
+      this.wsClient.updateConnectionStatus(true, 'Watching (live updates)');
+    };
+    
+    // Messages have the same format as on the WebSocket
+    this.source.onmessage = (event) => this.wsClient.onMessage(event);
+    
+    this.source.onerror = () => {
+      // EventSource would retry with the original URL, reopen it ourselves so we resume where we left off
+      this.source.close();
+      this.wsClient.updateConnectionStatus(false, 'Reconnecting...');
+      this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+      this.reconnectDelay = Math.min(this.reconnectDelay * 2, 30000);
+    };
+  }
+  
+  /**
+   * Reopen the stream to get the events after the last one we applied
+   */
+  reconnect() {
+    this.close();
+    this.connect();
+  }
+  
+  /**
+   * Close the event stream
+   */
+  close() {
+    clearTimeout(this.reconnectTimer);
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+  }
+}
@@ -3,7 +3,8 @@
  */
 import './style.css';
 import { World } from './World.js';
-import { signInAnonymously } from './supabase-client.js';
+import { captureAdminKey, signInAnonymously } from './supabase-client.js';
+import { ApiClient } from './api-client.js';
 
 console.log("Application script loaded");
 
@@ -15,15 +16,28 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Update status display
         updateStatusDisplay('Authenticating...', 'yellow');
         
-        // Sign in anonymously with Supabase
-        console.log("Signing in anonymously with Supabase...");
+        // Pick up an admin key from the URL if one was provided
+        captureAdminKey();
+        
+        // Load the world picked in the URL (?world=beach), so a new geek is created there
+        let worldConfig;
+        try {
+            worldConfig = await loadWorldConfig(new URLSearchParams(window.location.search).get('world'));
+        } catch (error) {
+            console.error("Error loading the world:", error);
+            updateStatusDisplay('Failed to load the world: ' + error.message, 'red');
+            return;
+        }
+        
+        // Sign in anonymously through the server's auth provider
+        console.log("Signing in anonymously...");
         let userId = null;
         let session = null;
         
         try {
-            session = await signInAnonymously();
+            session = await signInAnonymously(worldConfig.world.id);
             userId = session?.user?.id;
-            console.log("Authenticated with Supabase, user ID:", userId);
+            console.log("Authenticated, user ID:", userId);
         } catch (error) {
             console.error("Authentication error:", error);
             updateStatusDisplay('Authentication failed: ' + error.message, 'red');
@@ -52,7 +66,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             return;
         }
         
-        const app = new World(userId);
+        const app = new World(userId, worldConfig);
         console.log("World instance created successfully:", app);
         
         // Store the app instance on window for debugging
@@ -67,6 +81,25 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 });
 
+/**
+ * Load the configuration of a world, falling back to the default world if it doesn't exist
+ * @param {string|null} worldId The world ID from the URL
+ * @returns {Promise<Object>} The world configuration
+ */
+async function loadWorldConfig(worldId) {
+    const apiClient = new ApiClient();
+    
+    if (worldId) {
+        try {
+            return await apiClient.getConfig(worldId);
+        } catch (error) {
+            console.warn(`World "${worldId}" not found, joining the default world`);
+        }
+    }
+    
+    return apiClient.getConfig();
+}
+
 /**
  * Update the status display in the UI
  * @param {string} message The status message
@@ -0,0 +1,207 @@
+/**
+ * Movement Controller Module
+ * Walks the user's geek with the keyboard (WASD or arrow keys) or to a clicked spot,
+ * and streams its position to the server
+ */
+import * as THREE from 'three';
+
+// Walking speed in units per second, the server allows somewhat faster
+const WALK_SPEED = 120;
+
+// Shortest time between two position updates sent to the server, in milliseconds
+const SEND_INTERVAL = 100;
+
+// A click that moves the pointer further than this many pixels is a drag of the camera
+const CLICK_TOLERANCE = 5;
+
+// Direction of each movement key on screen ({ x: right, y: up })
+const KEY_DIRECTIONS = {
+    w: { x: 0, y: 1 },
+    arrowup: { x: 0, y: 1 },
+    s: { x: 0, y: -1 },
+    arrowdown: { x: 0, y: -1 },
+    a: { x: -1, y: 0 },
+    arrowleft: { x: -1, y: 0 },
+    d: { x: 1, y: 0 },
+    arrowright: { x: 1, y: 0 }
+};
+
+export class MovementController {
+    /**
+     * @param {World} world - The world whose user's geek is controlled
+     */
+    constructor(world) {
+        this.world = world;
+        this.pressedKeys = new Set();
+        this.destination = null; // Clicked spot on the surface the geek walks to
+        this.controlling = false; // Set once the user moved the geek in this tab
+        this.dirty = false; // Whether the geek moved since the last position sent
+        this.lastSentAt = 0;
+        this.pointerDown = null;
+        
+        this.setupEventListeners();
+    }
+    
+    /**
+     * Listen to the movement keys and to clicks on the planet
+     */
+    setupEventListeners() {
+        window.addEventListener('keydown', (event) => {
+            // Shift is for the admin debug shortcuts
+            if (event.shiftKey || event.ctrlKey || event.altKey || event.metaKey || this.isTyping()) {
+                return;
+            }
+            
+            const key = event.key.toLowerCase();
+            if (KEY_DIRECTIONS[key]) {
+                event.preventDefault();
+                this.pressedKeys.add(key);
+                this.destination = null;
+            }
+        });
+        
+        window.addEventListener('keyup', (event) => {
+            this.pressedKeys.delete(event.key.toLowerCase());
+        });
+        
+        // Don't keep walking when the window loses focus with a key held down
+        window.addEventListener('blur', () => this.pressedKeys.clear());
+        
+        const canvas = this.world.renderer.domElement;
+        canvas.addEventListener('pointerdown', (event) => {
+            this.pointerDown = { x: event.clientX, y: event.clientY };
+        });
+        canvas.addEventListener('pointerup', (event) => {
+            if (!this.pointerDown || event.button !== 0) {
+                return;
+            }
+            
+            const moved = Math.hypot(event.clientX - this.pointerDown.x, event.clientY - this.pointerDown.y);
+            this.pointerDown = null;
+            if (moved <= CLICK_TOLERANCE) {
+                this.walkTo(event.clientX, event.clientY);
+            }
+        });
+    }
+    
+    /**
+     * Check whether the user is typing in a form field
+     * @returns {boolean} True if an input has the focus
+     */
+    isTyping() {
+        const tag = document.activeElement && document.activeElement.tagName;
+        return tag === 'INPUT' || tag === 'TEXTAREA';
+    }
+    
+    /**
+     * Walk to the spot of the planet under a point of the screen
+     * @param {number} clientX - Horizontal position in pixels
+     * @param {number} clientY - Vertical position in pixels
+     */
+    walkTo(clientX, clientY) {
+        const canvas = this.world.renderer.domElement;
+        const rect = canvas.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, this.world.camera);
+        
+        const planet = new THREE.Sphere(new THREE.Vector3(0, 0, 0), this.world.config.planetRadius);
+        const hit = raycaster.ray.intersectSphere(planet, new THREE.Vector3());
+        if (hit) {
+            this.destination = hit;
+        }
+    }
+    
+    /**
+     * Walk the user's geek and send its position to the server
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    update(deltaTime) {
+        const geek = this.world.findUserGeek();
+        if (!geek || geek.isSimulating || !geek.wandering) {
+            return;
+        }
+        
+        const direction = this.pressedKeys.size > 0 ? this.keyboardDirection() : this.destinationDirection(geek);
+        if (direction) {
+            if (!this.controlling) {
+                this.controlling = true;
+                geek.stopWandering();
+            }
+            
+            geek.walk(direction.vector, Math.min(WALK_SPEED * deltaTime, direction.distance));
+            this.dirty = true;
+        }
+        
+        this.sendPosition(geek);
+    }
+    
+    /**
+     * Direction of the pressed movement keys, relative to the screen
+     * @returns {Object|null} { vector, distance } or null if the keys cancel out
+     */
+    keyboardDirection() {
+        const screen = { x: 0, y: 0 };
+        this.pressedKeys.forEach(key => {
+            screen.x += KEY_DIRECTIONS[key].x;
+            screen.y += KEY_DIRECTIONS[key].y;
+        });
+        
+        if (screen.x === 0 && screen.y === 0) {
+            return null;
+        }
+        
+        // Up on screen is the camera's up when looking down at the planet, and its
+        // forward when looking at the horizon. The geek keeps the part along the surface
+        const camera = this.world.camera;
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(camera.quaternion);
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+        const right = new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion);
+        
+        return {
+            vector: up.add(forward).multiplyScalar(screen.y).addScaledVector(right, screen.x),
+            distance: Infinity
+        };
+    }
+    
+    /**
+     * Direction of the clicked destination, which is cleared once reached
+     * @param {Geek} geek - The user's geek
+     * @returns {Object|null} { vector, distance } or null if there is nowhere to go
+     */
+    destinationDirection(geek) {
+        if (!this.destination) {
+            return null;
+        }
+        
+        const position = new THREE.Vector3(geek.position.x, geek.position.y, geek.position.z);
+        const target = this.destination.clone().setLength(position.length());
+        const distance = position.distanceTo(target);
+        
+        if (distance < 1) {
+            this.destination = null;
+            return null;
+        }
+        
+        return { vector: target.sub(position), distance };
+    }
+    
+    /**
+     * Send the geek's position if it moved, at most every SEND_INTERVAL
+     * @param {Geek} geek - The user's geek
+     */
+    sendPosition(geek) {
+        const now = performance.now();
+        if (!this.dirty || now - this.lastSentAt < SEND_INTERVAL || !this.world.wsClient) {
+            return;
+        }
+        
+        this.world.wsClient.sendMove(geek.getPosition());
+        this.lastSentAt = now;
+        this.dirty = false;
+    }
+}
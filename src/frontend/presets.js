@@ -1,4 +1,69 @@
 // Biome presets for different planet types
+const earthBiome = {
+  noise: {
+    min: -0.05,
+    max: 0.05,
+    octaves: 4,
+    lacunarity: 2.0,
+    gain: {
+      min: 0.1,
+      max: 0.8,
+      scale: 2,
+    },
+    warp: 0.3,
+    scale: 1,
+    power: 1.5,
+  },
+
+  colors: [
+    [-0.5, 0x994400], // Deep terrain
+    [-0.0, 0xccaa00], // Beaches
+    [0.4, 0xcc7700], // Mountains
+    [1.0, 0x002222], // Peaks
+  ],
+
+  seaColors: [
+    [-1, 0x000066], // Deep ocean
+    [-0.55, 0x0000aa], // Medium depth
+    [-0.1, 0x00f2e5], // Shallow water
+  ],
+  seaNoise: {
+    min: -0.098,
+    max: -0.008,
+    scale: 1,
+  },
+
+  vegetation: {
+    items: [
+      {
+        name: 'Rock',
+        density: 50,
+        minimumHeight: 0.1,
+        colors: {
+          Gray: { array: [0x775544] },
+        },
+      },
+      {
+        name: 'PineTree',
+        density: 50,
+        minimumHeight: 0.1,
+        maximumHeight: 0.8,
+        maximumSlope: Math.PI / 4,
+        colors: {
+          Brown: { array: [0x8b4513, 0x5b3105] },
+          Green: { array: [0x22851e, 0x22a51e] },
+          DarkGreen: { array: [0x006400] },
+        },
+        ground: {
+          color: 0x229900,
+          radius: 0.1,
+          raise: 0.01,
+        },
+      },
+    ],
+  },
+};
+
 const beachBiome = {
   noise: {
     min: -0.05,
@@ -286,6 +351,7 @@ const desertBiome = {
 };
 
 export const biomePresets = {
+  earth: earthBiome,
   beach: beachBiome,
   forest: forestBiome,
   snowForest: snowForestBiome,
@@ -293,6 +359,20 @@ export const biomePresets = {
 };
 
 // Planet configuration presets
+const earthPlanet = {
+  biome: {
+    preset: 'earth',
+  },
+  detail: 50,
+  scatter: 1.2,
+  atmosphere: {
+    enabled: true,
+    color: { r: 0.3, g: 0.6, b: 1.0 },
+    height: 0.1,
+  },
+  shape: 'sphere',
+};
+
 const beachPlanet = {
   biome: {
     preset: 'beach',
@@ -350,6 +430,7 @@ const desertPlanet = {
 };
 
 export const planetPresets = {
+  earth: earthPlanet,
   beach: beachPlanet,
   forest: forestPlanet,
   snowForest: snowForestPlanet,
@@ -0,0 +1,151 @@
+/**
+ * Stats Chart Module
+ * Expandable sparkline of the online count history in the stats panel
+ */
+export class StatsChart {
+    /**
+     * Create the chart inside the stats panel
+     * @param {ApiClient} apiClient - Client used to fetch the history
+     * @param {Object} [options] - Chart options
+     * @param {string} [options.world] - World whose history is shown, every world if missing
+     * @param {string} [options.bucket='1h'] - Bucket size of the history
+     * @param {number} [options.refreshInterval=60000] - Refresh interval while expanded (ms)
+     */
+    constructor(apiClient, options = {}) {
+        this.apiClient = apiClient;
+        this.world = options.world;
+        this.bucket = options.bucket || '1h';
+        this.refreshInterval = options.refreshInterval || 60000;
+        this.expanded = false;
+        this.refreshTimer = null;
+        
+        this.createElements();
+    }
+    
+    /**
+     * Add the toggle and the chart to the stats panel
+     */
+    createElements() {
+        const statsBox = document.getElementById('stats');
+        if (!statsBox) {
+            console.warn('StatsChart: #stats element not found');
+            return;
+        }
+        
+        this.toggle = document.createElement('p');
+        this.toggle.id = 'stats-history-toggle';
+        this.toggle.textContent = 'History (24h) ▸';
+        this.toggle.addEventListener('click', (event) => {
+            // Clicks on the stats box are reserved for admin tools
+            event.stopPropagation();
+            this.setExpanded(!this.expanded);
+        });
+        
+        this.panel = document.createElement('div');
+        this.panel.id = 'stats-history';
+        this.panel.style.display = 'none';
+        this.panel.addEventListener('click', (event) => event.stopPropagation());
+        
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 220;
+        this.canvas.height = 60;
+        
+        this.summary = document.createElement('div');
+        this.summary.id = 'stats-history-summary';
+        
+        this.panel.appendChild(this.canvas);
+        this.panel.appendChild(this.summary);
+        statsBox.appendChild(this.toggle);
+        statsBox.appendChild(this.panel);
+    }
+    
+    /**
+     * Expand or collapse the chart
+     * @param {boolean} expanded - Whether the chart should be shown
+     */
+    setExpanded(expanded) {
+        this.expanded = expanded;
+        this.toggle.textContent = expanded ? 'History (24h) ▾' : 'History (24h) ▸';
+        this.panel.style.display = expanded ? 'block' : 'none';
+        
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+        
+        if (expanded) {
+            // Only poll while someone is looking at the chart
+            this.refresh();
+            this.refreshTimer = setInterval(() => this.refresh(), this.refreshInterval);
+        }
+    }
+    
+    /**
+     * Fetch the history and redraw the chart
+     */
+    async refresh() {
+        try {
+            const options = this.world ? { world: this.world, bucket: this.bucket } : { bucket: this.bucket };
+            const history = await this.apiClient.getStatsHistory(options);
+            this.draw(history.buckets || []);
+        } catch (error) {
+            this.summary.textContent = 'History unavailable';
+        }
+    }
+    
+    /**
+     * Draw the peak and average online counts
+     * @param {Array<Object>} buckets - History buckets from the server
+     */
+    draw(buckets) {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        const padding = 4;
+        
+        ctx.clearRect(0, 0, width, height);
+        
+        if (buckets.length === 0) {
+            this.summary.textContent = 'No history yet';
+            return;
+        }
+        
+        const peak = Math.max(...buckets.map(bucket => bucket.peak));
+        const maxValue = Math.max(1, peak);
+        const step = buckets.length > 1 ? (width - padding * 2) / (buckets.length - 1) : 0;
+        const x = index => padding + index * step;
+        const y = value => height - padding - (value / maxValue) * (height - padding * 2);
+        
+        // Peak as a filled sparkline
+        ctx.beginPath();
+        buckets.forEach((bucket, index) => {
+            if (index === 0) ctx.moveTo(x(index), y(bucket.peak));
+            else ctx.lineTo(x(index), y(bucket.peak));
+        });
+        ctx.strokeStyle = '#4CAF50';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        
+        ctx.lineTo(x(buckets.length - 1), height - padding);
+        ctx.lineTo(x(0), height - padding);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(76, 175, 80, 0.2)';
+        ctx.fill();
+        
+        // Average as a dashed line
+        ctx.beginPath();
+        buckets.forEach((bucket, index) => {
+            if (index === 0) ctx.moveTo(x(index), y(bucket.average));
+            else ctx.lineTo(x(index), y(bucket.average));
+        });
+        ctx.setLineDash([3, 3]);
+        ctx.strokeStyle = '#FBBC05';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        const sampled = buckets.filter(bucket => bucket.samples > 0);
+        const average = sampled.length > 0
+            ? sampled.reduce((sum, bucket) => sum + bucket.average, 0) / sampled.length
+            : 0;
+        const unique = Math.max(...buckets.map(bucket => bucket.unique));
+        this.summary.textContent = `Peak ${peak} · Avg ${average.toFixed(1)} · Visitors/${this.bucket} ${unique}`;
+    }
+}
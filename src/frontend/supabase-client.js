@@ -9,10 +9,11 @@ const apiClient = new ApiClient();
 
 /**
  * Sign in anonymously via the server
+ * @param {string} [world] - The world a new user's geek is created in
  * @returns {Promise<Object>} The user session
  * @throws {Error} If authentication fails
  */
-export async function signInAnonymously() {
+export async function signInAnonymously(world) {
   console.log('Authenticating anonymously via server...');
   
   // Check if we already have a token in localStorage
@@ -44,12 +45,13 @@ export async function signInAnonymously() {
       // Clear invalid credentials
       localStorage.removeItem('auth_token');
       localStorage.removeItem('user_id');
+      localStorage.removeItem('user_email');
     }
   }
   
   // No valid stored token, create a new anonymous user
   try {
-    const response = await apiClient.post('/api/auth/anonymous', {});
+    const response = await apiClient.post('/api/auth/anonymous', world ? { world } : {});
     
     if (!response.success) {
       throw new Error(response.error || 'Authentication failed');
@@ -71,6 +73,92 @@ export async function signInAnonymously() {
   }
 }
 
+/**
+ * Attach an email and password to the current anonymous user
+ * The user keeps its ID, so its geek stays the same. With Supabase the account
+ * is only registered once the user follows the link in the confirmation email.
+ * @param {string} email The email address
+ * @param {string} password The password
+ * @returns {Promise<Object>} The user session and whether the email still has to be confirmed
+ * @throws {Error} If the account can't be created
+ */
+export async function linkAccount(email, password) {
+  const response = await apiClient.post('/api/auth/link', {
+    token: localStorage.getItem('auth_token'),
+    email,
+    password
+  });
+  
+  storeSession(response);
+  console.log('Account created for user:', response.user.id);
+  
+  return {
+    user: response.user,
+    session: response.session,
+    confirmationPending: response.confirmation_pending === true
+  };
+}
+
+/**
+ * Sign in to a registered account
+ * The page has to be reloaded to switch to the account's geek.
+ * @param {string} email The email address
+ * @param {string} password The password
+ * @returns {Promise<Object>} The user session
+ * @throws {Error} If the email and password don't match an account
+ */
+export async function signInWithPassword(email, password) {
+  const response = await apiClient.post('/api/auth/login', { email, password });
+  
+  storeSession(response);
+  console.log('Signed in as user:', response.user.id);
+  
+  return {
+    user: response.user,
+    session: response.session
+  };
+}
+
+/**
+ * Store the credentials returned by the server
+ * @param {Object} response The authentication response
+ */
+function storeSession(response) {
+  localStorage.setItem('auth_token', response.session.access_token);
+  localStorage.setItem('user_id', response.user.id);
+  if (response.user.email) {
+    localStorage.setItem('user_email', response.user.email);
+  }
+}
+
+/**
+ * Get the email of the registered account, if the visitor has one
+ * @returns {string|null} The email address
+ */
+export function getAccountEmail() {
+  return localStorage.getItem('user_email');
+}
+
+/**
+ * Store an admin key passed in the page URL (?admin_key=...)
+ * The key is removed from the address bar so it doesn't end up in bookmarks or screenshots.
+ */
+export function captureAdminKey() {
+  try {
+    const url = new URL(window.location.href);
+    const adminKey = url.searchParams.get('admin_key');
+    
+    if (adminKey) {
+      localStorage.setItem('admin_key', adminKey);
+      url.searchParams.delete('admin_key');
+      window.history.replaceState({}, document.title, url.toString());
+      console.log('Admin key stored');
+    }
+  } catch (error) {
+    console.error('Error storing admin key:', error);
+  }
+}
+
 /**
  * Get the current user ID
  * @returns {Promise<string|null>} The user ID or null if not authenticated
@@ -97,6 +185,7 @@ export async function signOut() {
     // Clear local storage
     localStorage.removeItem('auth_token');
     localStorage.removeItem('user_id');
+    localStorage.removeItem('user_email');
     console.log('Signed out successfully');
   } catch (error) {
     console.error('Error signing out:', error);
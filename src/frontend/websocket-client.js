@@ -2,6 +2,17 @@
  * WebSocket Client for User World
  * Handles real-time communication with the backend server
  */
+import { EventStreamClient } from './event-stream-client.js';
+import {
+  PROTOCOL_VERSION,
+  ENCODINGS,
+  ERROR_CODES,
+  protocolName,
+  validateClientMessage,
+  validateServerMessage
+} from '../shared/protocol.mjs';
+import { decodeMessage } from '../shared/binary-codec.mjs';
+
 export class WebSocketClient {
   constructor(world) {
     
@@ -17,6 +28,24 @@ export class WebSocketClient {
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 1000; // Start with 1 second delay
     
+    // Ask for the compact binary encoding, the server falls back to JSON if it can't
+    this.preferBinary = true;
+    
+    // Fall back to Server-Sent Events if the WebSocket never manages to connect
+    this.hasConnected = false;
+    this.fallbackAfterAttempts = 2;
+    this.eventStream = null;
+    
+    // While the server restarts we keep retrying without using up reconnect attempts
+    this.restartingUntil = 0;       // Time until which closes count as part of a restart
+    this.restartWindow = 2 * 60 * 1000;
+    this.restartRetryDelay = 2000;
+    
+    // Presence stream position, used to catch up after a reconnect
+    this.lastSeq = null;        // Sequence number of the last event applied
+    this.epoch = null;          // Server event log epoch the sequence belongs to
+    this.resyncPending = false; // Whether we asked the server for missed events
+    
     // Use the Supabase user ID from the World instance
     this.clientId = this.world.userId;
     
@@ -40,11 +69,21 @@ export class WebSocketClient {
     // In development, connect to the backend server on port 3000
     // In production, connect to the same host
     const host = isDev ? 'localhost:3000' : window.location.host;
-    const wsUrl = `${protocol}//${host}`;
     
+    // Follow our world, and after a reconnect only ask for the events we missed instead of a full snapshot
+    const params = new URLSearchParams({ world: this.world.worldId });
+    if (this.lastSeq !== null) {
+      params.set('since', this.lastSeq);
+      params.set('epoch', this.epoch);
+    }
+    const wsUrl = `${protocol}//${host}/?${params}`;
     
-    // Create a new WebSocket connection
-    this.socket = new WebSocket(wsUrl);
+    // Create a new WebSocket connection, offering our protocol version in order of preference
+    const protocols = this.preferBinary
+      ? [protocolName(PROTOCOL_VERSION, ENCODINGS.BINARY), protocolName(PROTOCOL_VERSION)]
+      : [protocolName(PROTOCOL_VERSION)];
+    this.socket = new WebSocket(wsUrl, protocols);
+    this.socket.binaryType = 'arraybuffer';
     
     // Set up event handlers
     this.socket.onopen = this.onOpen.bind(this);
@@ -58,7 +97,9 @@ export class WebSocketClient {
    */
   onOpen() {
     this.connected = true;
+    this.hasConnected = true;
     this.reconnectAttempts = 0;
+    this.restartingUntil = 0;
     
     // Update connection status in UI
     this.updateConnectionStatus(true);
@@ -89,10 +130,14 @@ export class WebSocketClient {
           // Get the authentication token from localStorage
           const token = localStorage.getItem('auth_token');
           
+          // Admins also identify themselves with their admin key
+          const adminKey = localStorage.getItem('admin_key');
+          
           this.send({
             type: 'spawn_user',
             clientId: this.clientId,
-            token: token // Include the token for server-side verification
+            token: token, // Include the token for server-side verification
+            ...(adminKey ? { adminKey } : {})
           });
         } else {
           // Update the countdown display
@@ -108,8 +153,28 @@ export class WebSocketClient {
    */
   onMessage(event) {
     try {
-      const data = JSON.parse(event.data);
-      this.handleServerMessage(data);
+      // Binary frames use the compact encoding, text frames are JSON
+      const data = typeof event.data === 'string'
+        ? JSON.parse(event.data)
+        : decodeMessage(event.data);
+      
+      if (!this.isValidServerMessage(data)) {
+        return;
+      }
+      
+      // The server sends the events of each tick as one batch
+      const messages = data.type === 'batch'
+        ? data.events.filter(batchedEvent => this.isValidServerMessage(batchedEvent))
+        : [data];
+      
+      messages.forEach(message => {
+        // Presence events carry a sequence number, snapshots carry their own
+        if (message.seq !== undefined && message.type !== 'initial') {
+          this.handleSequencedEvent(message);
+        } else {
+          this.handleServerMessage(message);
+        }
+      });
     } catch (error) {
       console.error('Error parsing WebSocket message:', error);
     }
@@ -117,14 +182,38 @@ export class WebSocketClient {
   
   /**
    * Handle WebSocket connection close
+   * @param {CloseEvent} event The WebSocket close event
    */
-  onClose() {
+  onClose(event) {
     console.log('WebSocket connection closed');
     this.connected = false;
     
+    // 1012 (Service Restart) means the server is going down on purpose
+    if (event && event.code === 1012) {
+      this.startRestartWindow();
+    }
+    
+    // Keep retrying until the server is back, without counting attempts
+    if (Date.now() < this.restartingUntil) {
+      this.updateConnectionStatus(false, 'Server restarting...');
+      
+      // Spread the reconnects so clients don't all arrive at once
+      setTimeout(() => {
+        this.connect();
+      }, this.restartRetryDelay + Math.random() * 1000);
+      return;
+    }
+    
     // Update connection status in the UI
     this.updateConnectionStatus(false);
     
+    // WebSocket upgrades are probably blocked on this network, follow presence over SSE instead
+    if (!this.hasConnected && this.reconnectAttempts >= this.fallbackAfterAttempts) {
+      console.warn('WebSocket unavailable, falling back to the event stream');
+      this.startEventStream();
+      return;
+    }
+    
     // Attempt to reconnect if not exceeding max attempts
     if (this.reconnectAttempts < this.maxReconnectAttempts) {
       this.reconnectAttempts++;
@@ -138,7 +227,27 @@ export class WebSocketClient {
       // Increase delay for next attempt (exponential backoff)
       this.reconnectDelay *= 2;
     } else {
-      console.error('Maximum reconnect attempts reached. Please refresh the page.');
+      console.error('Maximum reconnect attempts reached, falling back to the event stream');
+      this.startEventStream();
+    }
+  }
+  
+  /**
+   * Treat connection losses as part of a server restart for a while
+   */
+  startRestartWindow() {
+    if (Date.now() >= this.restartingUntil) {
+      this.restartingUntil = Date.now() + this.restartWindow;
+    }
+  }
+  
+  /**
+   * Follow presence over Server-Sent Events
+   * The stream is read-only, so our own geek isn't spawned while on it.
+   */
+  startEventStream() {
+    if (!this.eventStream) {
+      this.eventStream = new EventStreamClient(this);
     }
   }
   
@@ -150,6 +259,54 @@ export class WebSocketClient {
     console.error('WebSocket error:', error);
   }
   
+  /**
+   * Handle a sequenced presence event, skipping duplicates and
+   * asking the server to replay anything we missed
+   * @param {Object} data The event data
+   */
+  handleSequencedEvent(data) {
+    // The replay we asked for will include this event
+    if (this.resyncPending) {
+      return;
+    }
+    
+    if (this.lastSeq !== null) {
+      // Already applied
+      if (data.seq <= this.lastSeq) {
+        return;
+      }
+      
+      // We missed something, ask for the gap
+      if (data.seq > this.lastSeq + 1) {
+        console.warn(`Missed presence events ${this.lastSeq + 1}-${data.seq - 1}, resyncing`);
+        this.requestResync();
+        return;
+      }
+    }
+    
+    this.lastSeq = data.seq;
+    this.handleServerMessage(data);
+  }
+  
+  /**
+   * Ask the server for the events after the last one we applied
+   */
+  requestResync() {
+    this.resyncPending = true;
+    
+    // The event stream can't take messages, reopening it replays the gap instead
+    if (this.eventStream) {
+      this.eventStream.reconnect();
+      return;
+    }
+    
+    this.send({
+      type: 'resync',
+      since: this.lastSeq,
+      epoch: this.epoch
+    });
+  }
+  
   /**
    * Handle messages from the server
    * @param {Object} data The message data
@@ -158,9 +315,21 @@ export class WebSocketClient {
     switch (data.type) {
       case 'initial':
         // Handle initial user data
+        this.epoch = data.epoch;
+        this.lastSeq = data.seq;
+        this.resyncPending = false;
         this.handleInitialData(data.users || []);
         break;
         
+      case 'missed_events':
+        // Replay the events we missed while disconnected
+        this.epoch = data.epoch;
+        this.resyncPending = false;
+        data.events
+          .filter(missedEvent => this.isValidServerMessage(missedEvent))
+          .forEach(missedEvent => this.handleSequencedEvent(missedEvent));
+        break;
+        
       case 'new_user':
         // Handle new user added
         if (data.user) {
@@ -223,12 +392,22 @@ export class WebSocketClient {
       case 'user_status':
         // Handle user status change
         if (data.clientId && data.active !== undefined) {
-          this.world.updateUserStatus(data.clientId, data.active);
+          this.world.updateUserStatus(data.clientId, data.active, data.connections);
         } else {
           console.error('Received user_status message with missing data');
         }
         break;
         
+      case 'user_updated':
+        // Handle changed user data, such as an anonymous user registering
+        this.world.updateUserFromServer(data.user);
+        break;
+        
+      case 'user_moved':
+        // A geek walked somewhere
+        this.world.moveUserById(data.id, data.position);
+        break;
+        
       case 'remove_user':
         // Handle user removal
         if (data.id !== undefined) {
@@ -243,7 +422,29 @@ export class WebSocketClient {
         this.world.clearUsers();
         break;
         
+      case 'chat':
+        // A geek nearby said something
+        this.world.showChatMessage(data);
+        break;
+        
+      case 'emote':
+        // A geek in this world reacted
+        this.world.playEmote(data);
+        break;
+        
       case 'error':
+        // Rejected chat messages and emotes are shown in the chat log
+        if (data.request === 'chat' || data.request === 'emote') {
+          this.world.showChatError(data.message);
+          break;
+        }
+        
+        // Position updates carry the whole position, the next one makes up for a rejected one
+        if (data.request === 'move') {
+          console.warn('Position update rejected:', data.message);
+          break;
+        }
+        
         // Handle error messages from the server
         console.error('Received error from server:', data.message);
         // Update the status display
@@ -253,12 +454,23 @@ export class WebSocketClient {
           userStatusElement.style.color = '#EA4335'; // Red
         }
         
+        if (data.details) {
+          console.error('Error details:', data.details);
+        }
+        
         // Show alert for authentication errors
-        if (data.message.includes('authentication') || data.message.includes('token')) {
+        if (data.code === ERROR_CODES.INVALID_TOKEN || data.code === ERROR_CODES.AUTH_UNAVAILABLE) {
           alert('Authentication error: ' + data.message);
         }
         break;
         
+      case 'server_restarting':
+        // The connection is about to close, show why
+        console.log('Server is restarting');
+        this.startRestartWindow();
+        this.updateConnectionStatus(false, 'Server restarting...');
+        break;
+        
       case 'warning':
         // Handle warning messages from the server
         console.warn('Received warning from server:', data.message);
@@ -269,18 +481,41 @@ export class WebSocketClient {
     }
   }
   
+  /**
+   * Check a message from the server against the protocol schema
+   * @param {Object} data The message data
+   * @returns {boolean} True if the message can be handled
+   */
+  isValidServerMessage(data) {
+    const validation = validateServerMessage(data);
+    if (!validation.valid) {
+      console.warn(`Ignoring invalid ${data && data.type} message from server:`, validation.errors);
+    }
+    return validation.valid;
+  }
+  
   /**
    * Handle initial data from the server
+   * Reconciles the world with the snapshot instead of rebuilding it,
+   * so geeks that are already shown don't drop in again
    * @param {Array} users Array of user data
    */
   handleInitialData(users) {
+    const snapshotIds = new Set(users.map(userData => userData.id));
     
-    // Clear existing users
-    this.world.clearUsers();
+    // Remove users that no longer exist on the server
+    this.world.users
+      .filter(user => user.id !== undefined && !snapshotIds.has(user.id))
+      .forEach(user => this.world.removeUserById(user.id));
     
-    // Add each user from the server
+    // Add or update each user from the server
     users.forEach(userData => {
-      this.world.addUserFromServer(userData);
+      const user = this.world.addUserFromServer(userData);
+      
+      // Show offline users as offline
+      if (user && userData.active === false && userData.client_id) {
+        this.world.updateUserStatus(userData.client_id, false);
+      }
     });
   }
   
@@ -289,6 +524,12 @@ export class WebSocketClient {
    * @param {Object} data The message data
    */
   send(data) {
+    const validation = validateClientMessage(data);
+    if (!validation.valid) {
+      console.error(`Not sending invalid ${data.type} message:`, validation.errors);
+      return;
+    }
+    
     if (this.connected && this.socket.readyState === WebSocket.OPEN) {
       this.socket.send(JSON.stringify(data));
     } else {
@@ -324,6 +565,45 @@ export class WebSocketClient {
     }
   }
   
+  /**
+   * Send a chat message to the geeks nearby
+   * @param {string} text The message
+   */
+  sendChat(text) {
+    if (this.connected) {
+      this.send({
+        type: 'chat',
+        text: text
+      });
+    }
+  }
+  
+  /**
+   * Play an emote on the user's geek for everyone in the world
+   * @param {string} name The emote, one of the protocol EMOTES
+   */
+  sendEmote(name) {
+    if (this.connected) {
+      this.send({
+        type: 'emote',
+        name: name
+      });
+    }
+  }
+  
+  /**
+   * Send the position of the user's geek
+   * @param {Object} position Position {x, y, z}
+   */
+  sendMove(position) {
+    if (this.connected) {
+      this.send({
+        type: 'move',
+        position: position
+      });
+    }
+  }
+  
   /**
    * Truncate the users table (remove all users)
    */
@@ -342,6 +622,9 @@ export class WebSocketClient {
     if (this.socket) {
       this.socket.close();
     }
+    if (this.eventStream) {
+      this.eventStream.close();
+    }
   }
   
   /**
@@ -11,30 +11,30 @@ import { ApiClient } from './api-client.js';
 import { Planet } from './Planet.js';
 import { Sky } from './Sky.js';
 import { DebugShortcuts } from './debug-shortcuts.js';
+import { StatsChart } from './stats-chart.js';
+import { AccountPanel } from './account-panel.js';
+import { ChatPanel } from './chat-panel.js';
+import { EmoteBar } from './emote-bar.js';
+import { MovementController } from './movement-controller.js';
 import { Color } from 'three';
 import { ColorGradient } from './helper/colorgradient';
 import { PlanetMaterialWithCaustics } from './materials/OceanCausticsMaterial';
 import { setDebug } from './helper/debug';
+import { planetPresets } from './presets.js';
 
 export class World {
-    constructor(userId) {
-        this.init(userId);
+    /**
+     * @param {string} userId - The auth user ID of the visitor
+     * @param {Object} worldConfig - The configuration of the world to show, from /api/config
+     */
+    constructor(userId, worldConfig) {
+        this.init(userId, worldConfig);
     }
 
-    async init(userId) {
+    async init(userId, worldConfig) {
         // Configuration
         this.config = {
             maxUsers: 100,            // Maximum number of users to show
-            colors: [
-                0x4285F4, // Blue
-                0xEA4335, // Red
-                0xFBBC05, // Yellow
-                0x34A853, // Green
-                0x9C27B0, // Purple
-                0xFF9800  // Orange
-            ],
-            minSize: 15,               // Minimum user size
-            maxSize: 40,               // Maximum user size
             minZoom: 0.25,             // Minimum zoom level
             maxZoom: 4.0,              // Maximum zoom level
             zoomSpeed: 0.1,            // Zoom speed factor
@@ -43,8 +43,6 @@ export class World {
             cameraDamping: 0.2,        // Camera movement damping factor
             cameraMovementSpeed: 2.0,  // Base speed for camera movement
             maxHeight: 12000,          // Maximum camera height
-            planetRadius: 3000,        // Planet radius
-            dayDuration: 30 * 60 * 1000, // Day duration in milliseconds (30 minutes)
             skyColors: {
                 day: 0x87CEEB,         // Sky blue
                 sunset: 0xFFA07A,      // Light salmon
@@ -68,6 +66,7 @@ export class World {
         this._receivedServerStats = false;  // Flag to track if we've received stats from the server
         this.showOfflineGeeks = true;      // Whether to show offline geeks
         this.isInitialized = false;        // Flag to track if the world is fully initialized
+        this.isAdmin = false;              // Whether the current visitor has admin access
         
         // Camera tracking properties
         this.isCameraTracking = false;     // Whether the camera is tracking a geek
@@ -94,12 +93,33 @@ export class World {
             // Initialize API client first
             this.apiClient = new ApiClient();
             
+            // The server decides the planet, palette, sizes and day length of each world
+            this.applyWorldConfig(worldConfig);
+            
             // Initialize Three.js
             await this.initThree();
             
             // Set up event listeners
             this.setupEventListeners();
             
+            // Enable admin tools if the visitor is an admin
+            await this.setupAdminTools();
+            
+            // Online count history in the stats panel
+            this.statsChart = new StatsChart(this.apiClient, { world: this.worldId });
+            
+            // Lets anonymous visitors keep their geek by creating an account
+            this.accountPanel = new AccountPanel();
+            
+            // Chat with the geeks nearby
+            this.chatPanel = new ChatPanel(text => this.sendChat(text));
+            
+            // Reactions the user's geek plays on every client
+            this.emoteBar = new EmoteBar(name => this.sendEmote(name));
+            
+            // Keyboard and click-to-walk control of the user's geek
+            this.movementController = new MovementController(this);
+            
             // Initialize UI displays
             this.updateCounterDisplay();
             
@@ -115,6 +135,28 @@ export class World {
         }
     }
     
+    /**
+     * Merge the world configuration served by /api/config into this.config
+     * @param {Object} worldConfig - The world configuration
+     */
+    applyWorldConfig(worldConfig) {
+        this.worldId = worldConfig.world.id;
+        
+        const worldElement = document.getElementById('user-world');
+        if (worldElement) {
+            worldElement.textContent = worldConfig.world.name;
+        }
+        
+        Object.assign(this.config, {
+            planetPreset: worldConfig.planet.preset,
+            planetRadius: worldConfig.planet.radius,
+            colors: worldConfig.palette.map(color => parseInt(color.replace('#', ''), 16)),
+            minSize: worldConfig.size.min,
+            maxSize: worldConfig.size.max,
+            dayDuration: worldConfig.day_duration
+        });
+    }
+    
     /**
      * Initialize Three.js scene, camera, renderer
      */
@@ -197,78 +239,17 @@ export class World {
             // Create the planet
             try {
                 console.log("Starting planet creation...");
+                let preset = planetPresets[this.config.planetPreset];
+                if (!preset) {
+                    console.warn(`Unknown planet preset "${this.config.planetPreset}", using earth`);
+                    preset = planetPresets.earth;
+                }
+                
                 this.planet = new Planet({
-                    shape: 'sphere',
-                    detail: 50,
-                    scatter: 1.2,
-                    atmosphere: {
-                        enabled: true,
-                        color: new THREE.Vector3(0.3, 0.6, 1.0),
-                        height: 0.1
-                    },
+                    ...preset,
+                    radius: this.config.planetRadius,
                     material: 'normal',
-                    debug: false,
-                    biome: {
-                        noise: {
-                            min: -0.05,
-                            max: 0.05,
-                            octaves: 4,
-                            lacunarity: 2.0,
-                            gain: {
-                                min: 0.1,
-                                max: 0.8,
-                                scale: 2,
-                            },
-                            warp: 0.3,
-                            scale: 1,
-                            power: 1.5,
-                        },
-                        colors: [
-                            [-0.5, 0x994400],  // Deep terrain
-                            [-0.0, 0xccaa00],  // Beaches
-                            [0.4, 0xcc7700],   // Mountains
-                            [1.0, 0x002222],   // Peaks
-                        ],
-                        seaColors: [
-                            [-1, 0x000066],    // Deep ocean
-                            [-0.55, 0x0000aa], // Medium depth
-                            [-0.1, 0x00f2e5],  // Shallow water
-                        ],
-                        seaNoise: {
-                            min: -0.098,
-                            max: -0.008,
-                            scale: 1,
-                        },
-                        vegetation: {
-                            items: [
-                                {
-                                    name: "Rock",
-                                    density: 50,
-                                    minimumHeight: 0.1,
-                                    colors: {
-                                        Gray: { array: [0x775544] },
-                                    },
-                                },
-                                {
-                                    name: "PineTree",
-                                    density: 50,
-                                    minimumHeight: 0.1,
-                                    maximumHeight: 0.8,
-                                    maximumSlope: Math.PI / 4,
-                                    colors: {
-                                        Brown: { array: [0x8b4513, 0x5b3105] },
-                                        Green: { array: [0x22851e, 0x22a51e] },
-                                        DarkGreen: { array: [0x006400] },
-                                    },
-                                    ground: {
-                                        color: 0x229900,
-                                        radius: 0.1,
-                                        raise: 0.01,
-                                    },
-                                },
-                            ],
-                        },
-                    }
+                    debug: false
                 });
                 
                 // Create the planet mesh and add it to the scene
@@ -361,10 +342,25 @@ export class World {
         // Prevent context menu on right-click
         window.addEventListener('contextmenu', (e) => e.preventDefault());
         
-        // Add user on stats box click
+        // Add user on stats box click (admin only)
         const statsBox = document.getElementById('stats');
         if (statsBox) {
-            statsBox.addEventListener('click', () => this.addRandomUser());
+            statsBox.addEventListener('click', () => {
+                if (this.isAdmin) {
+                    this.addRandomUser();
+                }
+            });
+        }
+    }
+    
+    /**
+     * Check admin access and show the debug shortcuts to admins only
+     */
+    async setupAdminTools() {
+        this.isAdmin = await this.apiClient.isAdmin();
+        
+        if (this.isAdmin && !this.debugShortcuts) {
+            this.debugShortcuts = new DebugShortcuts(this);
         }
     }
     
@@ -437,7 +433,7 @@ export class World {
                 return;
             }
 
-            const stats = await this.apiClient.getStats();
+            const stats = await this.apiClient.getStats(this.worldId);
             
             // Mark that we've received server stats
             this._receivedServerStats = true;
@@ -509,23 +505,8 @@ export class World {
         // Find a position that doesn't collide with existing users
         const position = this.findNonCollidingPosition(size);
         
-        // Create the new user
-        const user = new Geek({
-            size,
-            color,
-            position,
-            scene: this.scene,
-            cameraY: this.camera.position.y,
-            planetRadius: this.config.planetRadius
-        });
-        
-        // Add to the array
-        this.users.push(user);
-        
-        // Update the counter display
-        this.updateCounterDisplay();
-        
-        // Notify the server about the new user
+        // Ask the server to create the user
+        // The user will be added via WebSocket broadcast
         this.wsClient.addUser({
             position: position,
             size: size,
@@ -534,6 +515,71 @@ export class World {
         
     }
     
+    /**
+     * Send a chat message to the geeks near the user's geek
+     * @param {string} text - The message
+     */
+    sendChat(text) {
+        if (!this.wsClient || !this.wsClient.connected) {
+            this.chatPanel.addNotice('Not connected, the message was not sent');
+            return;
+        }
+        
+        this.wsClient.sendChat(text);
+    }
+    
+    /**
+     * Show a chat message from the server above its sender and in the chat log
+     * @param {Object} message - The chat message ({ id, text, sent_at })
+     */
+    showChatMessage(message) {
+        const geek = this.users.find(user => user.id === message.id);
+        if (geek) {
+            geek.showSpeechBubble(message.text);
+        }
+        
+        if (this.chatPanel) {
+            const isCurrentUser = geek && geek.client_id === this.userId;
+            this.chatPanel.addMessage(isCurrentUser ? 'You' : `Geek #${message.id}`, message.text, {
+                color: geek ? `#${geek.color.getHexString()}` : undefined,
+                time: message.sent_at ? new Date(message.sent_at) : undefined
+            });
+        }
+    }
+    
+    /**
+     * Ask the server to play an emote on the user's geek for everyone in the world
+     * @param {string} name - The emote, one of the protocol EMOTES
+     */
+    sendEmote(name) {
+        if (!this.wsClient || !this.wsClient.connected) {
+            return;
+        }
+        
+        this.wsClient.sendEmote(name);
+    }
+    
+    /**
+     * Play an emote from the server on its geek
+     * @param {Object} emote - The emote ({ id, name })
+     */
+    playEmote(emote) {
+        const geek = this.users.find(user => user.id === emote.id);
+        if (geek) {
+            geek.playEmote(emote.name);
+        }
+    }
+    
+    /**
+     * Show why a chat message or emote was rejected
+     * @param {string} text - The error message from the server
+     */
+    showChatError(text) {
+        if (this.chatPanel) {
+            this.chatPanel.addNotice(text);
+        }
+    }
+    
     /**
      * Add a user from server data
      * @param {Object} userData - User data from server
@@ -573,6 +619,7 @@ export class World {
             if (userData.color !== undefined) existingUser.updateColor(userData.color);
             if (userData.active !== undefined) existingUser.active = userData.active;
             if (userData.anon !== undefined) existingUser.anon = userData.anon;
+            if (userData.connections !== undefined) existingUser.connections = userData.connections;
             
             console.log('Returning existing user:', existingUser);
             return existingUser;
@@ -617,7 +664,8 @@ export class World {
             cameraY: this.camera.position.y,
             planetRadius: this.config.planetRadius,
             active: processedUserData.active !== undefined ? processedUserData.active : true,
-            anon: processedUserData.anon !== undefined ? processedUserData.anon : false
+            anon: processedUserData.anon !== undefined ? processedUserData.anon : false,
+            connections: processedUserData.connections
         };
         
         // Create the new user
@@ -632,6 +680,43 @@ export class World {
         return user;
     }
     
+    /**
+     * Apply changed user data from the server to an existing user
+     * @param {Object} userData - User data with the ID of the user and the changed fields
+     */
+    updateUserFromServer(userData) {
+        const user = this.users.find(existingUser => existingUser.id === userData.id);
+        if (!user) {
+            return;
+        }
+        
+        if (userData.anon !== undefined) user.anon = userData.anon;
+        
+        // Update the user info display if this is the current user
+        if (user.client_id === this.userId) {
+            this.updateUserInfoDisplay();
+        }
+    }
+    
+    /**
+     * Move a user to a position received from the server
+     * @param {number} id - The user ID
+     * @param {Object} position - Position {x, y, z}
+     */
+    moveUserById(id, position) {
+        const user = this.users.find(existingUser => existingUser.id === id);
+        if (!user) {
+            return;
+        }
+        
+        // The tab walking the user's geek is ahead of the server
+        if (user.client_id === this.userId && this.movementController && this.movementController.controlling) {
+            return;
+        }
+        
+        user.moveTo(position);
+    }
+    
     /**
      * Remove a user by ID
      * @param {number} id The user ID
@@ -674,7 +759,7 @@ export class World {
      */
     async addRandomUser() {
         try {
-            const response = await this.apiClient.addRandomUser();
+            const response = await this.apiClient.addRandomUser({ world: this.worldId });
             
             if (response.success) {
                 // The user will be added via WebSocket broadcast
@@ -804,6 +889,11 @@ export class World {
             // Update zoom indicator with current camera height
             this.updateZoomIndicator();
             
+            // Walk the user's geek before updating the users
+            if (this.movementController) {
+                this.movementController.update(dt);
+            }
+            
             // Update all users
             for (const user of this.users) {
                 user.update(dt, currentTime / 1000);
@@ -1024,6 +1114,17 @@ export class World {
             }
         }
         
+        // Offer account creation only while the geek is anonymous
+        if (this.accountPanel && userGeek) {
+            this.accountPanel.update(userGeek.anon);
+        }
+        
+        // Update the connected devices display
+        const userDevicesElement = document.getElementById('user-devices');
+        if (userDevicesElement && userGeek) {
+            userDevicesElement.textContent = userGeek.connections;
+        }
+        
         // Update the user ID display
         const userIdElement = document.getElementById('user-id');
         if (userIdElement && this.userId) {
@@ -1037,8 +1138,9 @@ export class World {
      * Update a user's status (active/inactive)
      * @param {string} clientId - The client ID of the user to update
      * @param {boolean} active - Whether the user is active
+     * @param {number} [connections] - Number of tabs/devices the user is connected from
      */
-    updateUserStatus(clientId, active) {
+    updateUserStatus(clientId, active, connections) {
         
         // Find the user with this client ID
         const user = this.users.find(u => u.client_id === clientId);
@@ -1050,6 +1152,9 @@ export class World {
         
         // Update the active status
         user.active = active;
+        if (connections !== undefined) {
+            user.connections = connections;
+        }
         
         // If the user is now active, restore their original color
         if (active) {
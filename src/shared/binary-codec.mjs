@@ -0,0 +1,324 @@
+/**
+ * Binary Codec
+ * Compact binary encoding of the high-volume server messages, used by
+ * clients that negotiate the ".bin" WebSocket subprotocol.
+ *
+ * Every frame starts with a one byte message code. Numbers are little-endian,
+ * strings are a uint16 byte length followed by UTF-8 bytes (0xFFFF for null).
+ * Messages without a binary form are sent as JSON text frames instead.
+ */
+
+const CODES = {
+  new_user: 1,
+  user_status: 2,
+  remove_user: 3,
+  clear_all_users: 4,
+  batch: 5,
+  initial: 6,
+  missed_events: 7
+};
+
+const TYPES = Object.fromEntries(Object.entries(CODES).map(([type, code]) => [code, type]));
+
+const NULL_STRING = 0xFFFF;
+const FLAG_ACTIVE = 1;
+const FLAG_ANON = 2;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Encode a server message
+ * @param {Object} message The message
+ * @returns {Uint8Array|null} The encoded frame, or null if the message has no binary form
+ */
+export function encodeMessage(message) {
+  if (!canEncode(message)) {
+    return null;
+  }
+
+  const writer = new Writer();
+  writeMessage(writer, message);
+  return writer.finish();
+}
+
+/**
+ * Decode a binary server message
+ * @param {ArrayBuffer|Uint8Array} data The frame
+ * @returns {Object} The message, in the same shape as its JSON form
+ */
+export function decodeMessage(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  return readMessage(new Reader(bytes));
+}
+
+/**
+ * Check whether a message and the events it contains have a binary form
+ * @param {Object} message The message
+ * @returns {boolean} True if the message can be encoded
+ */
+function canEncode(message) {
+  if (!Object.prototype.hasOwnProperty.call(CODES, message.type)) {
+    return false;
+  }
+  if (message.type === 'batch' || message.type === 'missed_events') {
+    return message.events.every(canEncode);
+  }
+  return true;
+}
+
+/**
+ * Write a message
+ * @param {Writer} writer The writer
+ * @param {Object} message The message
+ */
+function writeMessage(writer, message) {
+  writer.uint8(CODES[message.type]);
+
+  switch (message.type) {
+    case 'new_user':
+      writer.uint32(message.seq);
+      writeUser(writer, message.user);
+      break;
+    case 'user_status':
+      writer.uint32(message.seq);
+      writer.string(message.clientId);
+      writer.uint8(message.active ? FLAG_ACTIVE : 0);
+      writer.uint16(message.connections || 0);
+      break;
+    case 'remove_user':
+      writer.uint32(message.seq);
+      writer.uint32(message.id);
+      break;
+    case 'clear_all_users':
+      writer.uint32(message.seq);
+      break;
+    case 'batch':
+      writer.uint32(message.events.length);
+      message.events.forEach(event => writeMessage(writer, event));
+      break;
+    case 'initial':
+      writer.string(message.epoch);
+      writer.uint32(message.seq);
+      writer.uint32(message.users.length);
+      message.users.forEach(user => writeUser(writer, user));
+      break;
+    case 'missed_events':
+      writer.string(message.epoch);
+      writer.uint32(message.events.length);
+      message.events.forEach(event => writeMessage(writer, event));
+      break;
+  }
+}
+
+/**
+ * Read a message
+ * @param {Reader} reader The reader
+ * @returns {Object} The message
+ */
+function readMessage(reader) {
+  const code = reader.uint8();
+  const type = TYPES[code];
+
+  switch (type) {
+    case 'new_user':
+      return { type, seq: reader.uint32(), user: readUser(reader) };
+    case 'user_status': {
+      const seq = reader.uint32();
+      const clientId = reader.string();
+      const active = (reader.uint8() & FLAG_ACTIVE) !== 0;
+      return { type, clientId, active, connections: reader.uint16(), seq };
+    }
+    case 'remove_user':
+      return { type, seq: reader.uint32(), id: reader.uint32() };
+    case 'clear_all_users':
+      return { type, seq: reader.uint32() };
+    case 'batch':
+      return { type, events: readList(reader, readMessage) };
+    case 'initial': {
+      const epoch = reader.string();
+      const seq = reader.uint32();
+      return { type, epoch, seq, users: readList(reader, readUser) };
+    }
+    case 'missed_events': {
+      const epoch = reader.string();
+      return { type, epoch, events: readList(reader, readMessage) };
+    }
+    default:
+      throw new Error(`Unknown binary message code: ${code}`);
+  }
+}
+
+/**
+ * Write the user data of a geek
+ * @param {Writer} writer The writer
+ * @param {Object} user User data (id, position, size, color, client_id, active, anon, connections)
+ */
+function writeUser(writer, user) {
+  writer.uint32(user.id);
+  writer.float32(user.position.x);
+  writer.float32(user.position.y);
+  writer.float32(user.position.z);
+  writer.float32(user.size);
+  writer.uint32(parseInt(String(user.color).replace('#', ''), 16) || 0);
+  writer.string(user.client_id);
+  writer.uint8((user.active ? FLAG_ACTIVE : 0) | (user.anon ? FLAG_ANON : 0));
+  writer.uint16(user.connections || 0);
+}
+
+/**
+ * Read the user data of a geek
+ * @param {Reader} reader The reader
+ * @returns {Object} User data
+ */
+function readUser(reader) {
+  const id = reader.uint32();
+  const position = { x: reader.float32(), y: reader.float32(), z: reader.float32() };
+  const size = reader.float32();
+  const color = '#' + reader.uint32().toString(16).toUpperCase().padStart(6, '0');
+  const clientId = reader.string();
+  const flags = reader.uint8();
+
+  return {
+    id,
+    position,
+    size,
+    color,
+    client_id: clientId,
+    active: (flags & FLAG_ACTIVE) !== 0,
+    anon: (flags & FLAG_ANON) !== 0,
+    connections: reader.uint16()
+  };
+}
+
+/**
+ * Read a uint32 count followed by that many items
+ * @param {Reader} reader The reader
+ * @param {Function} readItem Reads one item
+ * @returns {Array} The items
+ */
+function readList(reader, readItem) {
+  const count = reader.uint32();
+  const items = [];
+  for (let i = 0; i < count; i++) {
+    items.push(readItem(reader));
+  }
+  return items;
+}
+
+/**
+ * Growable little-endian byte writer
+ */
+class Writer {
+  constructor() {
+    this.bytes = new Uint8Array(256);
+    this.view = new DataView(this.bytes.buffer);
+    this.offset = 0;
+  }
+
+  reserve(size) {
+    if (this.offset + size <= this.bytes.length) {
+      return;
+    }
+
+    let length = this.bytes.length * 2;
+    while (length < this.offset + size) {
+      length *= 2;
+    }
+
+    const bytes = new Uint8Array(length);
+    bytes.set(this.bytes);
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  uint8(value) {
+    this.reserve(1);
+    this.view.setUint8(this.offset, value);
+    this.offset += 1;
+  }
+
+  uint16(value) {
+    this.reserve(2);
+    this.view.setUint16(this.offset, Math.min(value, 0xFFFF), true);
+    this.offset += 2;
+  }
+
+  uint32(value) {
+    this.reserve(4);
+    this.view.setUint32(this.offset, value, true);
+    this.offset += 4;
+  }
+
+  float32(value) {
+    this.reserve(4);
+    this.view.setFloat32(this.offset, value, true);
+    this.offset += 4;
+  }
+
+  string(value) {
+    if (value === null || value === undefined) {
+      this.uint16(NULL_STRING);
+      return;
+    }
+
+    const encoded = textEncoder.encode(value);
+    if (encoded.length >= NULL_STRING) {
+      throw new Error('String too long for binary encoding');
+    }
+    this.uint16(encoded.length);
+    this.reserve(encoded.length);
+    this.bytes.set(encoded, this.offset);
+    this.offset += encoded.length;
+  }
+
+  finish() {
+    return this.bytes.slice(0, this.offset);
+  }
+}
+
+/**
+ * Little-endian byte reader
+ */
+class Reader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  uint8() {
+    const value = this.view.getUint8(this.offset);
+    this.offset += 1;
+    return value;
+  }
+
+  uint16() {
+    const value = this.view.getUint16(this.offset, true);
+    this.offset += 2;
+    return value;
+  }
+
+  uint32() {
+    const value = this.view.getUint32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  float32() {
+    const value = this.view.getFloat32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  string() {
+    const length = this.uint16();
+    if (length === NULL_STRING) {
+      return null;
+    }
+
+    const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+    this.offset += length;
+    return value;
+  }
+}
@@ -0,0 +1,323 @@
+/**
+ * WebSocket Protocol
+ * Message schemas shared by the server and the browser client.
+ *
+ * The version is negotiated during the WebSocket handshake through the
+ * Sec-WebSocket-Protocol header ("vibe-earth.v<version>", with a ".bin" suffix
+ * for the binary encoding). Both sides validate the messages they send and
+ * receive against the schemas below.
+ *
+ * Version 2 adds per-tick batches of events and the binary encoding.
+ *
+ * This is an ES module so Vite can serve it; the server loads it with require().
+ */
+
+// Current protocol version and the versions the server still understands
+export const PROTOCOL_VERSION = 2;
+export const SUPPORTED_VERSIONS = [1, 2];
+
+// Message encodings, binary needs version 2 or newer
+export const ENCODINGS = {
+  JSON: 'json',
+  BINARY: 'binary'
+};
+
+// Longest chat message, in characters
+export const CHAT_MAX_LENGTH = 200;
+
+// Reactions a user can make their geek play on every client
+export const EMOTES = ['wiggle', 'surprised', 'blink', 'splash'];
+
+const PROTOCOL_PREFIX = 'vibe-earth.v';
+const BINARY_SUFFIX = '.bin';
+
+// Codes sent in error messages
+export const ERROR_CODES = {
+  INVALID_JSON: 'invalid_json',
+  INVALID_MESSAGE: 'invalid_message',
+  UNKNOWN_TYPE: 'unknown_type',
+  UNSUPPORTED_VERSION: 'unsupported_version',
+  AUTH_UNAVAILABLE: 'auth_unavailable',
+  INVALID_TOKEN: 'invalid_token',
+  UNAUTHENTICATED: 'unauthenticated',
+  FORBIDDEN: 'forbidden',
+  NOT_FOUND: 'not_found',
+  UNKNOWN_WORLD: 'unknown_world',
+  RATE_LIMITED: 'rate_limited',
+  INTERNAL_ERROR: 'internal_error'
+};
+
+const clientId = { type: 'string', required: true, pattern: /^[A-Za-z0-9_-]{1,128}$/ };
+const vector = { type: 'object', fields: {
+  x: { type: 'number', required: true },
+  y: { type: 'number', required: true },
+  z: { type: 'number', required: true }
+} };
+const userData = { type: 'object', required: true, fields: {
+  id: { type: 'integer', required: true },
+  client_id: { type: 'string', nullable: true }
+} };
+
+// Messages the client sends to the server
+const CLIENT_MESSAGES = {
+  spawn_user: {
+    clientId,
+    token: { type: 'string', maxLength: 4096, nullable: true },
+    adminKey: { type: 'string', maxLength: 256 }
+  },
+  resync: {
+    since: { type: 'integer', min: 0, nullable: true },
+    epoch: { type: 'string', maxLength: 64, nullable: true }
+  },
+  add_user: {
+    position: { ...vector, required: true },
+    size: { type: 'number' },
+    color: { type: ['integer', 'string'] }
+  },
+  remove_user: {
+    id: { type: 'integer', required: true, min: 1 }
+  },
+  truncate_users: {},
+  chat: {
+    text: { type: 'string', required: true, maxLength: CHAT_MAX_LENGTH }
+  },
+  emote: {
+    name: { type: 'string', required: true, values: EMOTES }
+  },
+  move: {
+    position: { ...vector, required: true }
+  }
+};
+
+// Messages the server sends to the client
+const SERVER_MESSAGES = {
+  initial: {
+    epoch: { type: 'string', required: true },
+    seq: { type: 'integer', required: true, min: 0 },
+    users: { type: 'array', required: true, items: userData }
+  },
+  missed_events: {
+    epoch: { type: 'string', required: true },
+    events: { type: 'array', required: true }
+  },
+  new_user: {
+    user: userData
+  },
+  user_updated: {
+    user: userData
+  },
+  user_status: {
+    clientId: { type: 'string', required: true },
+    active: { type: 'boolean', required: true },
+    connections: { type: 'integer', min: 0 }
+  },
+  remove_user: {
+    id: { type: 'integer', required: true }
+  },
+  user_moved: {
+    id: { type: 'integer', required: true },
+    position: { ...vector, required: true }
+  },
+  clear_all_users: {},
+  chat: {
+    id: { type: 'integer', required: true },
+    text: { type: 'string', required: true },
+    sent_at: { type: 'string' }
+  },
+  emote: {
+    id: { type: 'integer', required: true },
+    name: { type: 'string', required: true }
+  },
+  batch: {
+    events: { type: 'array', required: true }
+  },
+  error: {
+    code: { type: 'string', required: true },
+    message: { type: 'string', required: true },
+    details: { type: 'array' },
+    request: { type: 'string' }
+  },
+  warning: {
+    message: { type: 'string', required: true }
+  },
+  server_restarting: {
+    message: { type: 'string', required: true }
+  }
+};
+
+/**
+ * Get the WebSocket subprotocol name of a protocol version
+ * @param {number} version The protocol version
+ * @param {string} [encoding='json'] The message encoding
+ * @returns {string} The subprotocol name
+ */
+export function protocolName(version, encoding = ENCODINGS.JSON) {
+  return `${PROTOCOL_PREFIX}${version}${encoding === ENCODINGS.BINARY ? BINARY_SUFFIX : ''}`;
+}
+
+/**
+ * Parse a WebSocket subprotocol name
+ * @param {string} name The subprotocol name
+ * @returns {Object|null} { version, encoding } or null if the name isn't a supported protocol
+ */
+export function parseProtocolName(name) {
+  if (typeof name !== 'string' || !name.startsWith(PROTOCOL_PREFIX)) {
+    return null;
+  }
+
+  const binary = name.endsWith(BINARY_SUFFIX);
+  const version = Number(name.slice(PROTOCOL_PREFIX.length, binary ? -BINARY_SUFFIX.length : undefined));
+  if (!SUPPORTED_VERSIONS.includes(version) || (binary && version < 2)) {
+    return null;
+  }
+
+  return { version, encoding: binary ? ENCODINGS.BINARY : ENCODINGS.JSON };
+}
+
+/**
+ * Pick the protocol from the offered subprotocols, honoring the client's order of preference
+ * @param {Iterable<string>} offered Subprotocol names offered by the client
+ * @returns {string|null} The chosen subprotocol name or null if none is supported
+ */
+export function negotiateProtocol(offered) {
+  for (const name of offered) {
+    if (parseProtocolName(name)) {
+      return name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a message sent by the client
+ * @param {*} message The parsed message
+ * @returns {Object} { valid: true } or { valid: false, code, errors }
+ */
+export function validateClientMessage(message) {
+  return validateMessage(message, CLIENT_MESSAGES);
+}
+
+/**
+ * Validate a message sent by the server
+ * @param {*} message The parsed message
+ * @returns {Object} { valid: true } or { valid: false, code, errors }
+ */
+export function validateServerMessage(message) {
+  return validateMessage(message, SERVER_MESSAGES);
+}
+
+/**
+ * Validate a message against a set of message schemas
+ * @param {*} message The parsed message
+ * @param {Object} schemas Field specs per message type
+ * @returns {Object} { valid: true } or { valid: false, code, errors }
+ */
+function validateMessage(message, schemas) {
+  if (!isObject(message) || typeof message.type !== 'string') {
+    return { valid: false, code: ERROR_CODES.INVALID_MESSAGE, errors: ['message must be an object with a type'] };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(schemas, message.type)) {
+    return { valid: false, code: ERROR_CODES.UNKNOWN_TYPE, errors: [`unknown message type: ${message.type}`] };
+  }
+
+  const errors = [];
+  checkFields(message, schemas[message.type], '', errors);
+
+  return errors.length === 0
+    ? { valid: true }
+    : { valid: false, code: ERROR_CODES.INVALID_MESSAGE, errors };
+}
+
+/**
+ * Check the fields of an object, collecting errors
+ * Fields without a spec are allowed so newer peers can add fields.
+ * @param {Object} object The object to check
+ * @param {Object} fields Field specs by name
+ * @param {string} path Path of the object, used in error messages
+ * @param {Array<string>} errors Collected errors
+ */
+function checkFields(object, fields, path, errors) {
+  for (const [name, spec] of Object.entries(fields)) {
+    checkValue(object[name], spec, path + name, errors);
+  }
+}
+
+/**
+ * Check a single value against its spec
+ * @param {*} value The value
+ * @param {Object} spec The field spec
+ * @param {string} path Path of the value, used in error messages
+ * @param {Array<string>} errors Collected errors
+ */
+function checkValue(value, spec, path, errors) {
+  if (value === undefined || (value === null && spec.nullable)) {
+    if (spec.required && value === undefined) {
+      errors.push(`${path} is required`);
+    }
+    return;
+  }
+
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+  if (!types.some(type => hasType(value, type))) {
+    errors.push(`${path} must be ${types.join(' or ')}`);
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+      errors.push(`${path} must be at most ${spec.maxLength} characters`);
+    }
+    if (spec.pattern && !spec.pattern.test(value)) {
+      errors.push(`${path} has an invalid format`);
+    }
+  }
+
+  if (spec.values && !spec.values.includes(value)) {
+    errors.push(`${path} must be one of ${spec.values.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (spec.min !== undefined && value < spec.min) {
+      errors.push(`${path} must be at least ${spec.min}`);
+    }
+    if (spec.max !== undefined && value > spec.max) {
+      errors.push(`${path} must be at most ${spec.max}`);
+    }
+  }
+
+  if (spec.fields && isObject(value)) {
+    checkFields(value, spec.fields, `${path}.`, errors);
+  }
+
+  if (spec.items && Array.isArray(value)) {
+    value.forEach((item, index) => checkValue(item, spec.items, `${path}[${index}]`, errors));
+  }
+}
+
+/**
+ * Check whether a value has a schema type
+ * @param {*} value The value
+ * @param {string} type The schema type
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return isObject(value);
+    default: return false;
+  }
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value The value
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}